@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server";
+import { renderShareCardImage } from "@/components/share-card-image";
+import { analyzeSwaps } from "@/lib/analyzeSwaps";
+import { getCardTemplate } from "@/lib/cardTemplates";
+import { getPeriodLabel } from "@/lib/periods";
+import { getShareCardModel, getShareScanBody, parseShareQuery } from "@/lib/shareCard";
+
+// GET /api/card?wallets=…&period=…&handle=…&template=…&size=… renders the share card as a PNG (see parseShareQuery)
+export async function GET(request) {
+  try {
+    const query = parseShareQuery(new URL(request.url).searchParams);
+    const { status, payload } = await analyzeSwaps(getShareScanBody(query), () => {});
+    if (status !== 200) return NextResponse.json(payload, { status });
+
+    const card = getShareCardModel(payload, { handle: query.handle, periodLabel: getPeriodLabel(query.period) });
+    return await renderShareCardImage(getCardTemplate(query.template, query.size), card, { headers: { "cache-control": "public, max-age=600, s-maxage=600" } });
+  } catch (error) {
+    return NextResponse.json(
+      { error: "Unexpected server error" },
+      { status: 500 }
+    );
+  }
+}
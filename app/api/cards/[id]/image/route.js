@@ -0,0 +1,26 @@
+import { NextResponse } from "next/server";
+import { renderShareCardImage } from "@/components/share-card-image";
+import { getCardTemplate, isCardSizeId } from "@/lib/cardTemplates";
+import { getPeriodLabel } from "@/lib/periods";
+import { getSavedCard } from "@/lib/savedCardStore";
+import { getShareCardModel } from "@/lib/shareCard";
+
+// GET /api/cards/<id>/image renders a saved card as a PNG, for the /c/<id> link preview.
+// `?size=` overrides the saved size (see CARD_SIZES).
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const size = new URL(request.url).searchParams.get("size");
+    const saved = await getSavedCard(id);
+    if (!saved) return NextResponse.json({ error: "Card not found or already expired" }, { status: 404 });
+
+    const card = getShareCardModel(saved.result, { handle: saved.handle, periodLabel: getPeriodLabel(saved.period) });
+    // Short-lived, so a deleted card stops unfurling soon after
+    return await renderShareCardImage(getCardTemplate(saved.template, isCardSizeId(size) ? size : saved.size), card, { headers: { "cache-control": "public, max-age=600, s-maxage=600" } });
+  } catch (error) {
+    return NextResponse.json(
+      { error: "Unexpected server error" },
+      { status: 500 }
+    );
+  }
+}
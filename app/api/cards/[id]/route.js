@@ -0,0 +1,26 @@
+import { NextResponse } from "next/server";
+import { deleteSavedCard } from "@/lib/savedCardStore";
+
+const DELETE_ERRORS = {
+  notFound: { error: "Card not found or already expired", status: 404 },
+  forbidden: { error: "Invalid delete token", status: 403 },
+};
+
+// DELETE /api/cards/<id> with { token } from the owner's delete link
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+    const outcome = await deleteSavedCard(id, body?.token);
+    if (outcome !== "deleted") {
+      const { error, status } = DELETE_ERRORS[outcome];
+      return NextResponse.json({ error }, { status });
+    }
+    return NextResponse.json({ deleted: true });
+  } catch (error) {
+    return NextResponse.json(
+      { error: "Unexpected server error" },
+      { status: 500 }
+    );
+  }
+}
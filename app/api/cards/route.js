@@ -0,0 +1,64 @@
+import { NextResponse } from "next/server";
+import { analyzeSwaps } from "@/lib/analyzeSwaps";
+import { DEFAULT_CARD_SIZE, DEFAULT_CARD_TEMPLATE, isCardSizeId, isCardTemplateId } from "@/lib/cardTemplates";
+import { DEFAULT_PERIOD, getPeriodOptions, getPeriodRange } from "@/lib/periods";
+import {
+  DEFAULT_SAVED_CARD_EXPIRY_DAYS,
+  SAVED_CARD_EXPIRY_DAYS,
+  getSavedCardDeletePath,
+  getSavedCardPath,
+  hideWallets,
+} from "@/lib/savedCards";
+import { createSavedCard } from "@/lib/savedCardStore";
+
+// POST /api/cards saves a result for /c/<id>. Body:
+//   scan           the /api/swaps options the result came from (from/to are taken from `period`)
+//   period         period id shown on the card
+//   handle         X handle shown on the card
+//   template, size card template and size ids (lib/cardTemplates.js)
+//   hideAddress    replace the wallet addresses (see hideWallets)
+//   expiresInDays  one of SAVED_CARD_EXPIRY_DAYS
+// The scan is re-run here rather than trusting a result posted by the browser; it is served from the
+// fetch cache when the card was just generated.
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const scan = body?.scan && typeof body.scan === "object" ? body.scan : {};
+    const period = getPeriodOptions().some((o) => o.id === body?.period) ? body.period : DEFAULT_PERIOD;
+    const expiresInDays = SAVED_CARD_EXPIRY_DAYS.includes(body?.expiresInDays)
+      ? body.expiresInDays
+      : DEFAULT_SAVED_CARD_EXPIRY_DAYS;
+    const handle = typeof body?.handle === "string" ? body.handle.trim().slice(0, 64) : "";
+    const template = isCardTemplateId(body?.template) ? body.template : DEFAULT_CARD_TEMPLATE;
+    const size = isCardSizeId(body?.size) ? body.size : DEFAULT_CARD_SIZE;
+    const hideAddress = body?.hideAddress === true;
+
+    const { status, payload } = await analyzeSwaps({ ...scan, ...getPeriodRange(period) }, () => {});
+    if (status !== 200) return NextResponse.json(payload, { status });
+
+    const { cache, ...result } = payload;
+    const saved = await createSavedCard({
+      result: hideAddress ? hideWallets(result) : result,
+      handle,
+      template,
+      size,
+      period,
+      hideAddress,
+      expiresInDays,
+    });
+    return NextResponse.json(
+      {
+        id: saved.id,
+        path: getSavedCardPath(saved.id),
+        deletePath: getSavedCardDeletePath(saved.id, saved.deleteToken),
+        expiresAt: new Date(saved.expiresAt).toISOString(),
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    return NextResponse.json(
+      { error: "Unexpected server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,49 @@
+import { notFound } from "next/navigation";
+import { Wrapped } from "@/components/wrapped";
+import { getCardTemplate } from "@/lib/cardTemplates";
+import { getPeriodLabel } from "@/lib/periods";
+import { getSavedCard } from "@/lib/savedCardStore";
+import { formatCardUsername } from "@/lib/shareCard";
+
+function describeSavedCard(saved) {
+  const username = formatCardUsername(saved.handle, saved.result?.names);
+  const period = getPeriodLabel(saved.period);
+  return {
+    title: (saved.handle || saved.result?.names?.length) ? `${username}'s ${period} trading PnL` : `${period} trading PnL on Sproutcard`,
+    description: "Onchain trading PnL, and what the same capital would have earned in Sprout.",
+  };
+}
+
+export async function generateMetadata({ params }) {
+  const { id } = await params;
+  const saved = await getSavedCard(id);
+  if (!saved) return { title: "Card not found" };
+  const { title, description } = describeSavedCard(saved);
+  // Always the 1200×630 preview size, whatever size the card was saved at
+  const imageUrl = `/api/cards/${id}/image?size=og`;
+  const { width, height } = getCardTemplate(saved.template, "og");
+  return {
+    title,
+    description,
+    openGraph: {
+      title,
+      description,
+      images: [{ url: imageUrl, width, height, alt: title }],
+    },
+    twitter: {
+      card: "summary_large_image",
+      title,
+      description,
+      images: [imageUrl],
+    },
+  };
+}
+
+// A saved result (see POST /api/cards), replayed read-only. `?token=…` is the owner's delete link.
+export default async function SavedCardPage({ params, searchParams }) {
+  const { id } = await params;
+  const saved = await getSavedCard(id);
+  if (!saved) notFound();
+  const { token } = await searchParams;
+  return <Wrapped saved={{ ...saved, deleteToken: typeof token === "string" ? token : null }} />;
+}
@@ -12,6 +12,8 @@ const geistMono = Geist_Mono({
 });
 
 export const metadata = {
+  // Absolute base for OpenGraph/Twitter image URLs, which crawlers need
+  metadataBase: new URL(process.env.NEXT_PUBLIC_SITE_URL || "http://localhost:3000"),
   title: "Sproutcard Generator",
   description: "See your 2025 trading PnL and a shareable card in seconds.",
   openGraph: {
@@ -0,0 +1,73 @@
+import Image from "next/image";
+import Link from "next/link";
+import { getCardTemplate } from "@/lib/cardTemplates";
+import { getPeriodLabel } from "@/lib/periods";
+import { buildShareQuery, parseShareQuery } from "@/lib/shareCard";
+
+function describeCard(query) {
+  const handle = query.handle ? (query.handle.startsWith("@") ? query.handle : `@${query.handle}`) : null;
+  const period = getPeriodLabel(query.period);
+  return {
+    title: handle ? `${handle}'s ${period} trading PnL` : `${period} trading PnL on Sproutcard`,
+    description: "Onchain trading PnL, and what the same capital would have earned in Sprout.",
+  };
+}
+
+// Permalink for a shared card: /share?wallets=…&period=…&handle=… (see parseShareQuery).
+// Link previews unfurl with the user's own card, rendered by /api/card at the 1200×630 preview size.
+export async function generateMetadata({ searchParams }) {
+  const query = parseShareQuery(await searchParams);
+  if (!query.wallets.length) return {};
+  const { title, description } = describeCard(query);
+  const imageUrl = `/api/card?${buildShareQuery({ ...query, size: "og" })}`;
+  const { width, height } = getCardTemplate(query.template, "og");
+  return {
+    title,
+    description,
+    openGraph: {
+      title,
+      description,
+      images: [{ url: imageUrl, width, height, alt: title }],
+    },
+    twitter: {
+      card: "summary_large_image",
+      title,
+      description,
+      images: [imageUrl],
+    },
+  };
+}
+
+export default async function SharePage({ searchParams }) {
+  const query = parseShareQuery(await searchParams);
+  const { title } = describeCard(query);
+  const { width, height } = getCardTemplate(query.template, query.size);
+  return (
+    <main className="min-h-screen w-full flex items-center justify-center p-6 bg-gradient-to-br from-primary/20 via-background to-accent/10">
+      <div className="w-full max-w-4xl flex flex-col items-center gap-6 text-center">
+        {query.wallets.length ? (
+          <>
+            <h1 className="text-3xl md:text-5xl font-bold text-foreground">{title}</h1>
+            <Image
+              src={`/api/card?${buildShareQuery(query)}`}
+              alt={title}
+              width={width}
+              height={height}
+              unoptimized
+              priority
+              className="max-w-full max-h-[80vh] w-auto h-auto rounded-xl shadow-2xl bg-white"
+            />
+          </>
+        ) : (
+          <h1 className="text-3xl md:text-5xl font-bold text-foreground">This card link is missing its wallet.</h1>
+        )}
+        <Link
+          href="/"
+          className="inline-flex items-center justify-center h-12 px-8 rounded-full bg-gradient-to-r from-primary to-accent text-primary-foreground text-lg font-medium shadow-lg"
+        >
+          Unveil your own PnL
+        </Link>
+      </div>
+    </main>
+  );
+}
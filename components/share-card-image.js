@@ -0,0 +1,174 @@
+import { Fragment } from "react";
+import { ImageResponse } from "next/og";
+import { getChainLogoUrl } from "@/lib/chainLogos";
+import { estimateTextWidth, fitCardFontSize, getBadgeFontSize, resolveCardColor } from "@/lib/cardTemplates";
+
+const AVATAR_TIMEOUT_MS = 3000;
+const AVATAR_TYPES = ["image/png", "image/jpeg"];
+// The ENS metadata service serves a name's avatar image itself. The avatar record can point anywhere its
+// owner likes, so this public route never fetches the record's URL: only this https endpoint, by name
+const ENS_AVATAR_ENDPOINT = "https://metadata.ens.domains/mainnet/avatar/";
+
+// Inlines the avatar so a slow or broken image host cannot fail the whole render. Redirects are refused,
+// so the endpoint cannot send the server on to another host
+async function fetchAvatarDataUrl(name) {
+  try {
+    const url = `${ENS_AVATAR_ENDPOINT}${encodeURIComponent(name)}`;
+    const res = await fetch(url, { redirect: "error", signal: AbortSignal.timeout(AVATAR_TIMEOUT_MS) });
+    const type = (res.headers.get("content-type") || "").split(";")[0].trim();
+    if (!res.ok || !AVATAR_TYPES.includes(type)) return null;
+    const bytes = Buffer.from(await res.arrayBuffer());
+    return `data:${type};base64,${bytes.toString("base64")}`;
+  } catch (err) {
+    return null;
+  }
+}
+
+// JSX for each template element type, mirroring lib/cardCanvas.js
+const ELEMENT_RENDERERS = {
+  circle: (el, { color }) => (
+    <div
+      style={{
+        position: "absolute",
+        left: el.x - el.radius,
+        top: el.y - el.radius,
+        width: el.radius * 2,
+        height: el.radius * 2,
+        borderRadius: el.radius,
+        background: color,
+        opacity: el.opacity ?? 1,
+      }}
+    />
+  ),
+
+  line: (el, { color }) => (
+    <div
+      style={{
+        position: "absolute",
+        left: Math.min(el.x1, el.x2) - (el.x1 === el.x2 ? el.width / 2 : 0),
+        top: Math.min(el.y1, el.y2) - (el.y1 === el.y2 ? el.width / 2 : 0),
+        width: Math.max(Math.abs(el.x2 - el.x1), el.width),
+        height: Math.max(Math.abs(el.y2 - el.y1), el.width),
+        background: color,
+      }}
+    />
+  ),
+
+  pill: (el, { color, template, card, avatar }) => (
+    <div style={{ position: "absolute", top: el.y, left: 0, width: template.width, display: "flex", justifyContent: "center" }}>
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          height: el.height,
+          padding: avatar ? `0 ${Math.round(el.height * 0.375)}px 0 6px` : `0 ${Math.round(el.height * 0.375)}px`,
+          borderRadius: el.height / 2,
+          background: resolveCardColor(template, el.background, card),
+          color,
+          fontSize: el.fontSize,
+          fontWeight: el.weight,
+        }}
+      >
+        {avatar && (
+          // eslint-disable-next-line @next/next/no-img-element -- rendered to PNG by next/og, not by a browser
+          <img src={avatar} width={el.height - 12} height={el.height - 12} style={{ borderRadius: el.height / 2, marginRight: 10 }} alt="" />
+        )}
+        {card[el.field]}
+      </div>
+    </div>
+  ),
+
+  text: (el, { color, card }) => (
+    <div
+      style={{
+        position: "absolute",
+        left: el.x,
+        top: el.y,
+        width: el.maxWidth,
+        display: "flex",
+        justifyContent: el.align === "center" ? "center" : "flex-start",
+        // satori cannot measure text, so widths are estimated from the length
+        fontSize: fitCardFontSize(el, String(card[el.field] ?? ""), estimateTextWidth),
+        fontWeight: el.weight,
+        lineHeight: 1,
+        color,
+      }}
+    >
+      {card[el.field]}
+    </div>
+  ),
+
+  badges: (el, { template, card }) => (
+    <div style={{ position: "absolute", left: el.x, top: el.y, display: "flex" }}>
+      {card.chains.map((chain) => {
+        const logo = getChainLogoUrl(chain.id);
+        if (logo) {
+          return (
+            // eslint-disable-next-line @next/next/no-img-element -- rendered to PNG by next/og, not by a browser
+            <img
+              key={chain.id}
+              src={logo}
+              width={el.radius * 2}
+              height={el.radius * 2}
+              style={{ marginRight: 8, borderRadius: el.radius }}
+              alt=""
+            />
+          );
+        }
+        return (
+          <div
+            key={chain.id}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+              width: el.radius * 2,
+              height: el.radius * 2,
+              marginRight: 8,
+              borderRadius: el.radius,
+              background: chain.color,
+              color: resolveCardColor(template, "badgeText", card),
+              fontSize: getBadgeFontSize(el.radius, chain.badge),
+              fontWeight: 700,
+            }}
+          >
+            {chain.badge}
+          </div>
+        );
+      })}
+    </div>
+  ),
+};
+
+function ShareCardImage({ template, card, avatar }) {
+  return (
+    <div
+      style={{
+        position: "relative",
+        display: "flex",
+        width: template.width,
+        height: template.height,
+        background: `linear-gradient(135deg, ${template.colors.backgroundFrom}, ${template.colors.backgroundTo})`,
+        fontFamily: "sans-serif",
+      }}
+    >
+      {template.elements.map((el, index) => {
+        const color = el.color ? resolveCardColor(template, el.color, card) : null;
+        if (el.color && !color) return null;
+        const render = ELEMENT_RENDERERS[el.type];
+        return <Fragment key={index}>{render(el, { color, template, card, avatar: el.type === "pill" ? avatar : null })}</Fragment>;
+      })}
+    </div>
+  );
+}
+
+// Renders a share card model (see getShareCardModel) with a template (see getCardTemplate) as a PNG response
+export async function renderShareCardImage(template, card, { headers } = {}) {
+  // A card shows an avatar only under a resolved name, which is then its username
+  const avatar = card.avatarUrl ? await fetchAvatarDataUrl(card.username) : null;
+  return new ImageResponse(<ShareCardImage template={template} card={card} avatar={avatar} />, {
+    width: template.width,
+    height: template.height,
+    headers,
+  });
+}
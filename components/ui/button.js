@@ -2,7 +2,7 @@
 
 import React from "react";
 
-export function Button({ children, className = "", type = "button", onClick, disabled = false, size = "md", variant = "default" }) {
+export function Button({ children, className = "", type = "button", onClick, disabled = false, size = "md", variant = "default", ...props }) {
   const base =
     "inline-flex items-center justify-center font-medium transition-colors focus-visible:outline-none disabled:opacity-50 disabled:pointer-events-none";
   const sizes = {
@@ -18,7 +18,7 @@ export function Button({ children, className = "", type = "button", onClick, dis
     .filter(Boolean)
     .join(" ");
   return (
-    <button type={type} onClick={onClick} disabled={disabled} className={cls}>
+    <button {...props} type={type} onClick={onClick} disabled={disabled} className={cls}>
       {children}
     </button>
   );
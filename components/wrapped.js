@@ -0,0 +1,1909 @@
+"use client"
+
+import { useMemo, useRef, useState, useEffect, useCallback, useLayoutEffect } from "react"
+import { Button } from "@/components/ui/button"
+import { Card } from "@/components/ui/card"
+import Link from "next/link"
+import { motion, AnimatePresence } from "framer-motion"
+import { FaMagic } from "react-icons/fa"
+import {
+  COST_BASIS_METHODS,
+  COST_BASIS_LABELS,
+  DEFAULT_COST_BASIS_METHOD,
+  DEFAULT_UNMATCHED_SELL_TREATMENT,
+  UNMATCHED_SELL_TREATMENTS,
+  UNMATCHED_SELL_TREATMENT_LABELS,
+} from "@/lib/costBasis"
+import { CHAINS, DEFAULT_CHAIN_IDS, getChain } from "@/lib/chains"
+import { isWalletInput, normalizeWalletAddress } from "@/lib/names"
+import { ALL_TIME_PERIOD, DEFAULT_PERIOD, getPeriodLabel, getPeriodOptions, getPeriodRange } from "@/lib/periods"
+import { TOKEN_EXCLUSION_LABELS, normalizeTokenList } from "@/lib/spam"
+import { formatUsd } from "@/lib/format"
+import { CARD_SIZES, CARD_TEMPLATES, DEFAULT_CARD_SIZE, DEFAULT_CARD_TEMPLATE, getCardTemplate } from "@/lib/cardTemplates"
+import { drawCardTemplate, loadChainLogos } from "@/lib/cardCanvas"
+import { CARD_EXPORT_FORMATS, exportCard } from "@/lib/cardExport"
+import { getRecapFormat, getRecapScenes, recordRecap } from "@/lib/recapVideo"
+import {
+  buildShareQuery,
+  compoundFutureValue,
+  getCardFileName,
+  getShareCardModel,
+  getSproutProfit,
+} from "@/lib/shareCard"
+import { DEFAULT_SAVED_CARD_EXPIRY_DAYS, SAVED_CARD_EXPIRY_DAYS, getSavedCardPath } from "@/lib/savedCards"
+
+function buildAnnualSchedule(principal, annualRate, years) {
+  const p = Number(principal)
+  const r = Number(annualRate)
+  const t = Number(years)
+  if (!Number.isFinite(p) || !Number.isFinite(r) || !Number.isFinite(t)) return []
+  const rows = []
+  let balance = p
+  for (let y = 1; y <= t; y++) {
+    const start = balance
+    const end = start * (1 + r)
+    const interest = end - start
+    rows.push({ year: y, start, interest, end })
+    balance = end
+  }
+  return rows
+}
+
+function buildShareText({ periodLabel, invested, pnl, realized, unrealized }) {
+  const textParts = [
+    `Trading Wrapped ${periodLabel}`,
+    `Invested: ${formatUsd(invested)}`,
+    `PnL: ${formatUsd(pnl)}`,
+    `Realized: ${formatUsd(realized)}`,
+    `Unrealized: ${formatUsd(unrealized)}`,
+  ]
+  return textParts.join(" · ")
+}
+
+const COMP_YEARS = 5
+const COMP_RATES = [0.05, 0.12, 0.25]
+const COMP_LABELS = ["Ultra Low Risk", "Mid Risk", "High Risk"]
+// Order of the wrapped steps; 0 is the address form
+const STEP = { intro: 1, invested: 2, pnl: 3, curve: 4, tokens: 5, compare: 6, share: 7 }
+const MAX_STEP = STEP.share
+const TOP_MOVERS = 3
+const EASE = [0.16, 1, 0.3, 1]
+const DURATION_IN = 0.7
+
+function AutoSizeText({ text, maxPx = 120, minPx = 36, className = "" }) {
+  const containerRef = useRef(null)
+  const spanRef = useRef(null)
+  const [fontSize, setFontSize] = useState(maxPx)
+
+  useEffect(() => {
+    const resize = () => {
+      const container = containerRef.current
+      const span = spanRef.current
+      if (!container || !span) return
+      const available = Math.max(0, container.clientWidth - 8)
+      let size = maxPx
+      span.style.fontSize = `${size}px`
+      span.style.whiteSpace = "nowrap"
+      span.style.display = "inline-block"
+      while (span.scrollWidth > available && size > minPx) {
+        size -= 2
+        span.style.fontSize = `${size}px`
+      }
+      setFontSize(size)
+    }
+    resize()
+    let ro
+    let containerEl = containerRef.current
+    if (typeof ResizeObserver !== "undefined") {
+      ro = new ResizeObserver(resize)
+      if (containerEl) ro.observe(containerEl)
+    }
+    window.addEventListener("resize", resize)
+    return () => {
+      window.removeEventListener("resize", resize)
+      if (ro && containerEl) ro.unobserve(containerEl)
+    }
+  }, [text, maxPx, minPx])
+
+  return (
+    <div ref={containerRef} className="w-full">
+      <span ref={spanRef} className={className} style={{ fontSize }}>{text}</span>
+    </div>
+  )
+}
+
+const MAX_WALLETS = 10
+const DEMO_ADDRESS = "0x4d26f0e78c154f8fda7acf6646246fa135507017"
+
+function chainName(id) {
+  return getChain(id)?.name || id
+}
+
+function shortAddress(address) {
+  return typeof address === "string" && address.length > 10 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address
+}
+
+function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement("a")
+  a.href = url
+  a.download = fileName
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Reads an NDJSON response body, calling `onEvent` once per line
+async function readNdjson(res, onEvent) {
+  const reader = res.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ""
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+    let newline
+    while ((newline = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, newline).trim()
+      buffer = buffer.slice(newline + 1)
+      if (line) onEvent(JSON.parse(line))
+    }
+  }
+  if (buffer.trim()) onEvent(JSON.parse(buffer))
+}
+
+// Folds /api/swaps progress events into per wallet+chain loading state
+function reduceScanProgress(state, event) {
+  if (!state && event?.type !== "scan:start") return state
+  const key = `${event?.address}:${event?.chain}`
+  switch (event?.type) {
+    case "scan:start":
+      return {
+        stage: "swaps",
+        totalSwaps: 0,
+        multiWallet: event.addresses.length > 1,
+        chains: Object.fromEntries(
+          event.tasks.map(({ address, chain }) => [`${address}:${chain}`, { address, chain, status: "pending", pages: 0, swaps: 0 }])
+        ),
+      }
+    case "chain:start":
+    case "chain:page":
+      return {
+        ...state,
+        chains: {
+          ...state.chains,
+          [key]: {
+            address: event.address,
+            chain: event.chain,
+            status: "loading",
+            pages: event.page ?? state.chains[key]?.pages ?? 0,
+            swaps: event.swaps ?? state.chains[key]?.swaps ?? 0,
+          },
+        },
+      }
+    case "chain:done":
+      return {
+        ...state,
+        totalSwaps: event.totalSwaps,
+        chains: {
+          ...state.chains,
+          [key]: {
+            address: event.address,
+            chain: event.chain,
+            status: event.failed ? "failed" : "done",
+            pages: event.pages,
+            swaps: event.swaps,
+          },
+        },
+      }
+    case "backfill:start":
+      return { ...state, stage: "backfill" }
+    case "pricing:start":
+      return { ...state, stage: "pricing" }
+    default:
+      return state
+  }
+}
+
+const CHAIN_STATUS_ICONS = { pending: "·", loading: "⏳", done: "✓", failed: "✕" }
+
+function ScanProgress({ progress }) {
+  const chains = Object.entries(progress?.chains || {})
+  if (!chains.length) {
+    return <p className="mt-4 text-center text-sm text-muted-foreground">Warming up the scanners…</p>
+  }
+  return (
+    <div className="mt-4 text-sm">
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+        {chains.map(([key, c]) => (
+          <div
+            key={key}
+            className={`flex items-center justify-between rounded-lg border px-3 py-2 ${c.status === "failed" ? "border-destructive/40 text-destructive" : "border-primary/20"}`}
+          >
+            <span className="font-medium">
+              {CHAIN_STATUS_ICONS[c.status]} {chainName(c.chain)}
+              {progress.multiWallet && <span className="text-xs text-muted-foreground"> · {shortAddress(c.address)}</span>}
+            </span>
+            <span className="text-xs text-muted-foreground">
+              {c.swaps} swaps{c.pages ? ` · p.${c.pages}` : ""}
+            </span>
+          </div>
+        ))}
+      </div>
+      <p className="mt-3 text-center text-muted-foreground">
+        {progress.stage === "pricing"
+          ? `${progress.totalSwaps} swaps found. Pricing your bags…`
+          : progress.stage === "backfill"
+            ? `${progress.totalSwaps} swaps found. Looking up historical prices…`
+            : `${progress.totalSwaps} swaps so far…`}
+      </p>
+    </div>
+  )
+}
+
+function PartialDataBanner({ diagnostics, onDismiss }) {
+  const chains = (diagnostics?.chains || []).filter((c) => c.status !== "ok")
+  const unpriced = diagnostics?.unpricedTokens || []
+  const unvalued = diagnostics?.valuationSources?.unvalued || 0
+  const multiWallet = new Set((diagnostics?.chains || []).map((c) => c.address)).size > 1
+  return (
+    <div className="fixed top-4 left-1/2 -translate-x-1/2 z-30 w-[92vw] max-w-2xl" role="alert">
+      <div className="rounded-xl border border-destructive/30 bg-card/90 backdrop-blur-md shadow-lg p-4 text-left text-sm">
+        <div className="flex items-start justify-between gap-4">
+          <div className="font-semibold text-destructive">Partial data: these numbers may be off</div>
+          <button type="button" onClick={onDismiss} className="text-muted-foreground hover:text-foreground" aria-label="Dismiss">✕</button>
+        </div>
+        {chains.length > 0 && (
+          <ul className="mt-2 text-muted-foreground">
+            {chains.map((c) => (
+              <li key={`${c.address}:${c.chain}`}>
+                <span className="font-medium text-foreground">{chainName(c.chain)}</span>
+                {multiWallet && <span> ({shortAddress(c.address)})</span>}:{" "}
+                {c.status === "failed" ? "could not load swaps" : `only ${c.swaps} swaps loaded`}
+                {c.errors?.[0]?.message ? ` (${c.errors[0].message})` : ""}
+              </li>
+            ))}
+          </ul>
+        )}
+        {unpriced.length > 0 && (
+          <p className="mt-2 text-muted-foreground">
+            No current price for {unpriced.map((t) => t.symbol).join(", ")}, so their unrealized PnL is missing.
+          </p>
+        )}
+        {unvalued > 0 && (
+          <p className="mt-2 text-muted-foreground">
+            {unvalued === 1 ? "1 trade" : `${unvalued} trades`} had no USD value, even historically, and {unvalued === 1 ? "is" : "are"} left out of PnL.
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Sells the replay could not match to a buy, totalled per token
+function summarizeUnmatchedSells(unmatchedSells) {
+  const byToken = new Map()
+  for (const sell of unmatchedSells) {
+    const entry = byToken.get(sell.tokenKey) || { tokenKey: sell.tokenKey, symbol: sell.symbol, sells: 0, quantity: 0, usdAmount: 0 }
+    entry.sells += 1
+    entry.quantity += sell.quantity
+    entry.usdAmount += sell.usdAmount
+    byToken.set(sell.tokenKey, entry)
+  }
+  return [...byToken.values()].sort((a, b) => b.usdAmount - a.usdAmount)
+}
+
+const UNMATCHED_SELL_NOTES = {
+  exclude: "They are left out of your PnL.",
+  zero: "They are counted at zero cost, so the whole sale is profit.",
+  manual: "They use the cost per token you enter below. Tokens without a cost are left out.",
+}
+
+function UnknownCostBasisWarning({ unmatchedSells, treatment, manualCosts, disabled, onTreatmentChange, onManualCostChange, onApply }) {
+  const tokens = summarizeUnmatchedSells(unmatchedSells)
+  const totalUsd = tokens.reduce((sum, t) => sum + t.usdAmount, 0)
+  return (
+    <Card className="p-6 mt-6 bg-card/50 backdrop-blur-sm border-destructive/30 text-left" role="status">
+      <div className="font-semibold text-destructive">Unknown cost basis</div>
+      <p className="text-sm text-muted-foreground mt-1">
+        {unmatchedSells.length} {unmatchedSells.length === 1 ? "sell" : "sells"} worth {formatUsd(totalUsd)} had no matching buy.
+        The tokens were probably bought before your history starts, airdropped or transferred in. {UNMATCHED_SELL_NOTES[treatment]}
+      </p>
+      <div className="flex flex-wrap gap-2 mt-4" role="group" aria-label="Unknown cost basis treatment">
+        {UNMATCHED_SELL_TREATMENTS.map((option) => (
+          <Button
+            key={option}
+            size="sm"
+            variant={treatment === option ? "default" : "outline"}
+            disabled={disabled}
+            onClick={() => onTreatmentChange(option)}
+          >
+            {UNMATCHED_SELL_TREATMENT_LABELS[option]}
+          </Button>
+        ))}
+      </div>
+      <ul className="flex flex-col gap-2 mt-4">
+        {tokens.map((t) => (
+          <li key={t.tokenKey} className="flex flex-wrap items-center justify-between gap-3 text-sm">
+            <span className="font-semibold text-foreground">{t.symbol}</span>
+            <span className="text-muted-foreground">
+              {t.quantity.toLocaleString(undefined, { maximumFractionDigits: 4 })} sold for {formatUsd(t.usdAmount)}
+            </span>
+            {treatment === "manual" && (
+              <input
+                type="number"
+                min="0"
+                step="any"
+                inputMode="decimal"
+                className="w-36 border border-input rounded-lg px-3 py-1 bg-input text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                placeholder="Cost per token $"
+                aria-label={`Cost per ${t.symbol} in USD`}
+                value={manualCosts[t.tokenKey] ?? ""}
+                onChange={(e) => onManualCostChange(t.tokenKey, e.target.value)}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+      {treatment === "manual" && (
+        <Button size="sm" className="mt-4" disabled={disabled} onClick={onApply}>
+          Apply costs
+        </Button>
+      )}
+    </Card>
+  )
+}
+
+// Allow and deny lists survive reloads so users do not have to curate them again
+const TOKEN_FILTERS_STORAGE_KEY = "sproutcard:token-filters"
+
+function ExcludedTokensNotice({ excludedTokens, hasLists, disabled, onAllow, onResetLists }) {
+  return (
+    <Card className="p-6 mt-6 bg-card/50 backdrop-blur-sm border-primary/20 text-left" role="status">
+      <div className="font-semibold text-foreground">Tokens left out of your holdings</div>
+      <p className="text-sm text-muted-foreground mt-1">
+        Their prices look untrustworthy, so they count as worthless in your unrealized PnL.
+      </p>
+      <ul className="flex flex-col gap-2 mt-4">
+        {excludedTokens.map((t) => (
+          <li key={t.tokenKey} className="flex flex-wrap items-center justify-between gap-3 text-sm">
+            <span className="font-semibold text-foreground">
+              {t.symbol}
+              {t.chains?.length > 0 && <span className="ml-2 text-xs font-normal text-muted-foreground">{t.chains.map(chainName).join(", ")}</span>}
+            </span>
+            <span className="text-muted-foreground">
+              {TOKEN_EXCLUSION_LABELS[t.reason] || t.reason}
+              {t.detail ? ` (${t.detail})` : ""}
+              {t.reportedValueUsd !== null ? ` · priced at ${formatUsd(t.reportedValueUsd)}` : ""}
+            </span>
+            <Button size="sm" variant="outline" disabled={disabled} onClick={() => onAllow(t.tokenKey)}>
+              Count it
+            </Button>
+          </li>
+        ))}
+      </ul>
+      {hasLists && (
+        <Button size="sm" variant="outline" className="mt-4" disabled={disabled} onClick={onResetLists}>
+          Reset my allow and deny lists
+        </Button>
+      )}
+    </Card>
+  )
+}
+
+function TokenMoverList({ title, items, emptyText, onExclude }) {
+  return (
+    <Card className="p-6 bg-card/50 backdrop-blur-sm border-primary/20 text-left">
+      <div className="text-sm text-muted-foreground mb-4">{title}</div>
+      {items.length ? (
+        <ul className="flex flex-col gap-3">
+          {items.map((p, index) => (
+            <motion.li
+              key={p.tokenKey}
+              initial={{ opacity: 0, x: -8 }}
+              animate={{ opacity: 1, x: 0 }}
+              transition={{ delay: index * 0.08 }}
+              className="flex items-center justify-between gap-4"
+            >
+              <div>
+                <div className="text-lg font-semibold text-foreground">
+                  {p.symbol}
+                  {p.chains?.length > 0 && <span className="ml-2 text-xs font-normal text-muted-foreground">{p.chains.map(chainName).join(", ")}</span>}
+                </div>
+                <div className="text-xs text-muted-foreground">
+                  {p.buys} buys · {p.sells} sells · avg entry {formatUsd(p.averageEntryPriceUsd)}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className={`text-xl font-bold ${p.pnlUsd >= 0 ? "text-primary" : "text-destructive"}`}>
+                  {formatUsd(p.pnlUsd)}
+                </div>
+                {onExclude && p.quantity > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => onExclude(p.tokenKey)}
+                    className="text-xs text-muted-foreground hover:text-destructive"
+                    title={`Treat ${p.symbol} as spam`}
+                    aria-label={`Treat ${p.symbol} as spam`}
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            </motion.li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-muted-foreground">{emptyText}</p>
+      )}
+    </Card>
+  )
+}
+
+function formatExpiry(expiresAt) {
+  return new Date(expiresAt).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" })
+}
+
+// Saves the current result under a short link (POST /api/cards) and shows it with the owner's delete link
+function PermalinkPanel({ options, permalink, status, onOptionsChange, onCreate }) {
+  const origin = typeof window === "undefined" ? "" : window.location.origin
+  return (
+    <Card className="w-full p-5 mt-2 bg-card/50 backdrop-blur-sm border-primary/20 text-left text-sm">
+      <div className="font-medium text-foreground mb-3">Save a link to this card</div>
+      {permalink ? (
+        <div className="flex flex-col gap-2">
+          <input
+            readOnly
+            value={`${origin}${permalink.path}`}
+            aria-label="Card link"
+            onFocus={(e) => e.target.select()}
+            className="border border-input rounded-lg px-3 py-2 bg-input text-foreground font-mono text-xs"
+          />
+          <p className="text-muted-foreground">
+            Anyone with the link can replay your wrapped until {formatExpiry(permalink.expiresAt)}. Keep this private link to delete it sooner:
+          </p>
+          <input
+            readOnly
+            value={`${origin}${permalink.deletePath}`}
+            aria-label="Delete link"
+            onFocus={(e) => e.target.select()}
+            className="border border-input rounded-lg px-3 py-2 bg-input text-foreground font-mono text-xs"
+          />
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center gap-2 text-muted-foreground">
+            <input
+              type="checkbox"
+              checked={options.hideAddress}
+              onChange={(e) => onOptionsChange({ ...options, hideAddress: e.target.checked })}
+            />
+            Hide my wallet address
+          </label>
+          <label className="flex items-center gap-2 text-muted-foreground">
+            Expires after
+            <select
+              value={options.expiresInDays}
+              onChange={(e) => onOptionsChange({ ...options, expiresInDays: Number(e.target.value) })}
+              className="border border-input rounded-lg px-2 py-1 bg-input text-foreground"
+            >
+              {SAVED_CARD_EXPIRY_DAYS.map((days) => (
+                <option key={days} value={days}>{days === 1 ? "1 day" : `${days} days`}</option>
+              ))}
+            </select>
+          </label>
+          <Button size="sm" disabled={status.saving} onClick={onCreate}>
+            {status.saving ? "Saving…" : "Create link"}
+          </Button>
+        </div>
+      )}
+      {status.error && <p className="text-destructive mt-2" role="alert">{status.error}</p>}
+    </Card>
+  )
+}
+
+// Below a saved card: when it expires, a way to make your own, and deletion for the owner's link
+function SavedCardFooter({ saved, status, onDelete }) {
+  return (
+    <div className="flex flex-col items-center gap-3 mt-2 text-sm text-muted-foreground">
+      {status.deleted ? (
+        <p>This card was deleted. Its link no longer works.</p>
+      ) : (
+        <p>This card expires on {formatExpiry(saved.expiresAt)}.</p>
+      )}
+      <div className="flex flex-wrap gap-3 justify-center">
+        <Link
+          href="/"
+          className="inline-flex items-center justify-center h-10 px-6 rounded-lg bg-primary text-primary-foreground font-medium hover:opacity-90"
+        >
+          Unveil your own PnL
+        </Link>
+        {saved.deleteToken && !status.deleted && (
+          <Button variant="outline" className="px-6" disabled={status.deleting} onClick={onDelete}>
+            {status.deleting ? "Deleting…" : "Delete this card"}
+          </Button>
+        )}
+      </div>
+      {status.error && <p className="text-destructive" role="alert">{status.error}</p>}
+    </div>
+  )
+}
+
+// Decorative shape for the loading overlay, which has no wallet data yet
+const LOADING_CHART_DATA = [12, 26, 36, 32, 48, 64, 86]
+const CURVE_MAX_POINTS = 48
+
+// Keeps at most `maxPoints` evenly spaced entries, always including the last one
+function downsample(items, maxPoints) {
+  if (items.length <= maxPoints) return items
+  const stride = (items.length - 1) / (maxPoints - 1)
+  return Array.from({ length: maxPoints }, (_, i) => items[Math.round(i * stride)])
+}
+
+function formatDay(date) {
+  const d = new Date(`${date}T00:00:00Z`)
+  if (Number.isNaN(d.getTime())) return date
+  return d.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" })
+}
+
+// Bars show open cost basis (capital at work), the line shows cumulative realized PnL
+function EquityCurveChart({ timeline }) {
+  const points = useMemo(() => downsample(Array.isArray(timeline) ? timeline : [], CURVE_MAX_POINTS), [timeline])
+
+  const chartWidth = 720
+  const chartHeight = 240
+  const paddingX = 28
+  const paddingY = 20
+  const innerW = chartWidth - paddingX * 2
+  const innerH = chartHeight - paddingY * 2
+  const n = points.length
+  const stepX = n > 1 ? innerW / (n - 1) : innerW
+  const BAR_RISE = 0.6
+  const REVEAL = 2.4
+  const STAGGER = n > 1 ? Math.max(0, (REVEAL - BAR_RISE) / (n - 1)) : 0
+
+  if (!n) {
+    return <p className="text-muted-foreground">No trades in this period.</p>
+  }
+
+  const maxCost = Math.max(1, ...points.map((p) => Number(p.openCostUsd) || 0))
+  const pnlValues = points.map((p) => Number(p.realizedPnlUsd) || 0)
+  const pnlMax = Math.max(0, ...pnlValues)
+  const pnlMin = Math.min(0, ...pnlValues)
+  const pnlRange = pnlMax - pnlMin || 1
+  const toPnlY = (v) => paddingY + innerH * (1 - (v - pnlMin) / pnlRange)
+  const zeroY = toPnlY(0)
+  const barW = Math.max(3, Math.min(20, stepX * 0.6))
+  const xAt = (i) => (n > 1 ? paddingX + i * stepX : paddingX + innerW / 2)
+  const line = pnlValues.map((v, i) => `${xAt(i)},${toPnlY(v)}`).join(" ")
+  const finalPnl = pnlValues[n - 1]
+
+  return (
+    <div className="w-full">
+      <svg width="100%" viewBox={`0 0 ${chartWidth} ${chartHeight}`} className="overflow-visible">
+        <defs>
+          <filter id="curveGlow" x="-50%" y="-50%" width="200%" height="200%">
+            <feGaussianBlur stdDeviation="2.5" result="coloredBlur" />
+            <feMerge>
+              <feMergeNode in="coloredBlur" />
+              <feMergeNode in="SourceGraphic" />
+            </feMerge>
+          </filter>
+        </defs>
+        {points.map((p, i) => {
+          const h = innerH * Math.min(1, Math.max(0, (Number(p.openCostUsd) || 0) / maxCost))
+          const y = paddingY + (innerH - h)
+          return (
+            <motion.rect
+              key={p.date}
+              x={xAt(i) - barW / 2}
+              y={y}
+              width={barW}
+              height={h}
+              rx={Math.min(6, barW / 2)}
+              className="fill-primary/20"
+              initial={{ height: 0, y: paddingY + innerH }}
+              animate={{ height: h, y }}
+              transition={{ duration: BAR_RISE, ease: EASE, delay: i * STAGGER }}
+            />
+          )
+        })}
+        <line
+          x1={paddingX}
+          x2={paddingX + innerW}
+          y1={zeroY}
+          y2={zeroY}
+          stroke="currentColor"
+          strokeWidth="1"
+          strokeDasharray="4 6"
+          className="text-foreground/20"
+        />
+        <motion.polyline
+          points={line}
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="4"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          className={finalPnl >= 0 ? "text-primary" : "text-destructive"}
+          filter="url(#curveGlow)"
+          initial={{ pathLength: 0 }}
+          animate={{ pathLength: 1 }}
+          transition={{ duration: REVEAL, ease: EASE }}
+        />
+      </svg>
+      <div className="flex justify-between text-xs text-muted-foreground mt-2 px-1">
+        <span>{formatDay(points[0].date)}</span>
+        <span className="flex gap-4">
+          <span><span className="inline-block w-3 h-1 align-middle rounded bg-primary mr-1" />Realized PnL</span>
+          <span><span className="inline-block w-3 h-3 align-middle rounded bg-primary/20 mr-1" />Open cost basis</span>
+        </span>
+        <span>{formatDay(points[n - 1].date)}</span>
+      </div>
+    </div>
+  )
+}
+
+function ChartTransition({ onComplete, loop = false, data = LOADING_CHART_DATA, children }) {
+  const maxValue = 100
+  useEffect(() => {
+    if (loop) return
+    const t = setTimeout(() => {
+      onComplete?.()
+    }, 2400)
+    return () => clearTimeout(t)
+  }, [loop, onComplete])
+
+  const chartWidth = 720
+  const chartHeight = 220
+  const paddingX = 28
+  const paddingY = 20
+  const innerW = chartWidth - paddingX * 2
+  const innerH = chartHeight - paddingY * 2
+  const n = data.length
+  const stepX = n > 1 ? innerW / (n - 1) : innerW
+
+  // Single timeline for stable looping
+  const TOTAL = 6.0
+  const REVEAL = 5
+  const WIPE = 1.2
+  const HOLD = Math.max(0, TOTAL - REVEAL - WIPE)
+  const BAR_RISE = 0.6
+  const DOT_RISE = 0.3
+  // Ensure last bar has full rise time by finishing exactly at REVEAL
+  const STAGGER = n > 1 ? Math.max(0, (REVEAL - BAR_RISE) / (n - 1)) : 0
+  const LINE_DURATION = REVEAL + HOLD
+  const clamp = (v, min, max) => Math.max(min, Math.min(max, v))
+  const EPS = 0.0005
+
+  const points = data.map((v, i) => {
+    const centerX = paddingX + i * stepX
+    const x = centerX
+    const y = paddingY + innerH * (1 - Math.min(1, Math.max(0, v / maxValue)))
+    return `${x},${y}`
+  }).join(" ")
+
+  return (
+    <motion.div
+      key="chart-transition"
+      className="fixed inset-0 z-[60] flex items-center justify-center bg-gradient-to-br from-primary/30 via-background/95 to-accent/30 backdrop-blur-md animate-gradient"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0, transition: { duration: 1.2, ease: EASE } }}
+      transition={{ duration: DURATION_IN, ease: EASE }}
+    >
+      <div className="relative w-[90vw] max-w-4xl">
+        <motion.div
+          initial={{ opacity: 0, y: 10, scale: 0.985 }}
+          animate={{ opacity: 1, y: 0, scale: 1 }}
+          exit={{ opacity: 0, transition: { duration: 1.2, ease: EASE } }}
+          transition={{ duration: DURATION_IN, ease: EASE }}
+          className="rounded-2xl border border-primary/20 bg-card/70 backdrop-blur-md shadow-2xl p-5"
+        >
+          <div className="w-full overflow-hidden">
+            <div className="mx-auto max-w-3xl">
+              <svg width="100%" viewBox={`0 0 ${chartWidth} ${chartHeight}`} className="overflow-visible">
+                <defs>
+                  <linearGradient id="chartFill" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="0%" stopColor="currentColor" stopOpacity="0.12" />
+                    <stop offset="100%" stopColor="currentColor" stopOpacity="0.02" />
+                  </linearGradient>
+                  <filter id="glow" x="-50%" y="-50%" width="200%" height="200%">
+                    <feGaussianBlur stdDeviation="2.5" result="coloredBlur" />
+                    <feMerge>
+                      <feMergeNode in="coloredBlur" />
+                      <feMergeNode in="SourceGraphic" />
+                    </feMerge>
+                  </filter>
+                </defs>
+                <g>
+                  {/* grid lines */}
+                  {Array.from({ length: 4 }).map((_, i) => {
+                    const y = paddingY + (innerH / 4) * (i + 1)
+                    return (
+                      <motion.line
+                        key={`grid-${i}`}
+                        x1={paddingX}
+                        x2={paddingX + innerW}
+                        y1={y}
+                        y2={y}
+                        stroke="currentColor"
+                        strokeWidth="1"
+                        className="text-foreground/10"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        transition={{ duration: 0.6, ease: EASE, delay: 0.08 * i }}
+                      />
+                    )
+                  })}
+
+                  {data.map((v, i) => {
+                    const norm = Math.min(1, Math.max(0, v / maxValue))
+                    const barW = 20
+                    const centerX = paddingX + i * stepX
+                    const x = centerX - barW / 2
+                    const h = innerH * norm
+                    const y = paddingY + (innerH - h)
+                    const startSec = i * STAGGER
+                    const riseEndSec = Math.min(startSec + BAR_RISE, REVEAL)
+                    const wipeStartSec = REVEAL + HOLD
+                    const t0 = 0
+                    const tStart = clamp(startSec / TOTAL, EPS, 1 - EPS)
+                    const tRiseEnd = clamp(riseEndSec / TOTAL, tStart + EPS, 1 - EPS)
+                    const tWipeStart = clamp(wipeStartSec / TOTAL, tRiseEnd + EPS, 1 - EPS)
+                    return (
+                      <motion.rect
+                        key={i}
+                        x={x}
+                        y={y}
+                        width={barW}
+                        height={h}
+                        rx="6"
+                        className="fill-primary/70"
+                        initial={loop ? { scaleY: 0, opacity: 1 } : { height: 0, opacity: 1, y: paddingY + innerH }}
+                        animate={loop ? { scaleY: [0, 0, 1, 1, 0], opacity: [1, 1, 1, 1, 1] } : { height: h, opacity: 1, y }}
+                        transition={loop ? { duration: TOTAL, ease: "linear", times: [t0, tStart, tRiseEnd, tWipeStart, 1], repeat: Infinity, repeatType: "loop" } : { duration: BAR_RISE, ease: EASE, delay: startSec }}
+                        style={loop ? { originY: 1 } : undefined}
+                      />
+                    )
+                  })}
+                  <motion.polyline
+                    points={points}
+                    fill="url(#chartFill)"
+                    className="text-primary"
+                    initial={{ opacity: 0 }}
+                    animate={loop ? { opacity: [0, 0.8, 0.8, 0] } : { opacity: 1 }}
+                    transition={loop ? { duration: TOTAL, ease: "linear", times: [0, REVEAL / TOTAL, (REVEAL + HOLD) / TOTAL, 1], repeat: Infinity, repeatType: "loop" } : { duration: LINE_DURATION, ease: EASE }}
+                  />
+                  <motion.polyline
+                    points={points}
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="4"
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    className="text-primary"
+                    filter="url(#glow)"
+                    initial={{ pathLength: 0 }}
+                    animate={loop ? { pathLength: [0, 1, 1, 0] } : { pathLength: 1 }}
+                    transition={loop ? { duration: TOTAL, ease: "linear", times: [0, REVEAL / TOTAL, (REVEAL + HOLD) / TOTAL, 1], repeat: Infinity, repeatType: "loop" } : { duration: LINE_DURATION, ease: EASE }}
+                    style={{ pathLength: 1 }}
+                  />
+                  {data.map((v, i) => {
+                    const centerX = paddingX + i * stepX
+                    const x = centerX
+                    const y = paddingY + innerH * (1 - Math.min(1, Math.max(0, v / maxValue)))
+                    const barStartSec = i * STAGGER
+                    const startSec = Math.min(barStartSec + BAR_RISE * 0.85, REVEAL)
+                    const riseEndSec = Math.min(startSec + DOT_RISE, REVEAL)
+                    const wipeStartSec = REVEAL + HOLD
+                    const t0 = 0
+                    const tStart = clamp(startSec / TOTAL, EPS, 1 - EPS)
+                    const tRiseEnd = clamp(riseEndSec / TOTAL, tStart + EPS, 1 - EPS)
+                    const tWipeStart = clamp(wipeStartSec / TOTAL, tRiseEnd + EPS, 1 - EPS)
+                    return (
+                      <motion.circle
+                        key={`dot-${i}`}
+                        cx={x}
+                        cy={y}
+                        r="5.5"
+                        className="fill-background stroke-primary"
+                        strokeWidth="3"
+                        initial={{ scale: 0.9, opacity: 0 }}
+                        animate={loop ? { opacity: [0, 0, 1, 1, 0], scale: [0.9, 0.9, 1, 1, 0.9] } : { scale: 1, opacity: 1 }}
+                        transition={loop ? { duration: TOTAL, ease: "linear", times: [t0, tStart, tRiseEnd, tWipeStart, 1], repeat: Infinity, repeatType: "loop" } : { duration: DOT_RISE, ease: EASE, delay: startSec }}
+                      />
+                    )
+                  })}
+                </g>
+              </svg>
+            </div>
+          </div>
+          {children}
+        </motion.div>
+      </div>
+    </motion.div>
+  )
+}
+
+// The wrapped flow: address form, steps and share card. With `saved` (a card from /c/<id>) it replays
+// that result read-only, starting on the first step; the owner's delete link starts on the share step.
+export function Wrapped({ saved = null }) {
+  const readOnly = Boolean(saved)
+  const [addresses, setAddresses] = useState([""])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState("")
+  const [result, setResult] = useState(saved?.result || null)
+  const [currentStep, setCurrentStep] = useState(saved ? (saved.deleteToken ? STEP.share : STEP.intro) : 0)
+  const [copied, setCopied] = useState(false)
+  const canvasRef = useRef(null)
+  const [xHandle, setXHandle] = useState(saved?.handle || "")
+  const [templateId, setTemplateId] = useState(saved?.template || DEFAULT_CARD_TEMPLATE)
+  const [sizeId, setSizeId] = useState(saved?.size || DEFAULT_CARD_SIZE)
+  const [recapFormat, setRecapFormat] = useState(null)
+  const [recapStatus, setRecapStatus] = useState({ recording: false, percent: 0, error: "" })
+  const [cardReady, setCardReady] = useState(readOnly)
+  const [redrawTick, setRedrawTick] = useState(0)
+  const [avatarImage, setAvatarImage] = useState(null)
+  const [chainLogos, setChainLogos] = useState({})
+  const [costBasisMethod, setCostBasisMethod] = useState(DEFAULT_COST_BASIS_METHOD)
+  const [recalculating, setRecalculating] = useState(false)
+  const [unmatchedSellTreatment, setUnmatchedSellTreatment] = useState(DEFAULT_UNMATCHED_SELL_TREATMENT)
+  const [manualCosts, setManualCosts] = useState({})
+  const [period, setPeriod] = useState(saved?.period || DEFAULT_PERIOD)
+  const [bannerDismissed, setBannerDismissed] = useState(false)
+  const [scanProgress, setScanProgress] = useState(null)
+  const [selectedChains, setSelectedChains] = useState(DEFAULT_CHAIN_IDS)
+  const [tokenFilters, setTokenFilters] = useState({ allow: [], deny: [] })
+  const [permalinkOptions, setPermalinkOptions] = useState({ hideAddress: false, expiresInDays: DEFAULT_SAVED_CARD_EXPIRY_DAYS })
+  const [permalink, setPermalink] = useState(null)
+  const [permalinkStatus, setPermalinkStatus] = useState({ saving: false, error: "" })
+  const [deleteStatus, setDeleteStatus] = useState({ deleting: false, deleted: false, error: "" })
+  const walletAddresses = addresses.map((a) => a.trim()).filter(Boolean)
+  const periodOptions = useMemo(() => getPeriodOptions(), [])
+  const formRef = useRef(null)
+
+  // The /api/swaps options for the current settings, with any of them overridden
+  function getScanBody({
+    method = costBasisMethod,
+    selectedPeriod = period,
+    treatment = unmatchedSellTreatment,
+    costs = manualCosts,
+    filters = tokenFilters,
+  } = {}) {
+    const { from, to } = getPeriodRange(selectedPeriod)
+    return {
+      addresses: walletAddresses,
+      chains: selectedChains,
+      costBasisMethod: method,
+      unmatchedSellTreatment: treatment,
+      unmatchedSellCosts: costs,
+      tokenAllowList: filters.allow,
+      tokenDenyList: filters.deny,
+      from,
+      to,
+    }
+  }
+
+  async function requestSwaps(options) {
+    const res = await fetch("/api/swaps", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/x-ndjson" },
+      body: JSON.stringify(getScanBody(options)),
+    })
+    if (!res.ok || !res.body) {
+      const data = await res.json()
+      return { ok: res.ok, data }
+    }
+    let outcome = { ok: false, data: { error: "Scan ended unexpectedly" } }
+    setScanProgress(null)
+    await readNdjson(res, (event) => {
+      if (event.type === "result") outcome = { ok: true, data: event.data }
+      else if (event.type === "error") outcome = { ok: false, data: { error: event.error } }
+      else setScanProgress((prev) => reduceScanProgress(prev, event))
+    })
+    return outcome
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    setError("")
+    setResult(null)
+    setCurrentStep(0)
+
+    if (!walletAddresses.length) {
+      setError("Enter an EVM address (0x... 40 hex), a Solana address or an ENS name (name.eth)")
+      return
+    }
+    const invalid = walletAddresses.find((a) => !isWalletInput(a))
+    if (invalid) {
+      setError(`Not a valid EVM or Solana address or ENS name: ${invalid}`)
+      return
+    }
+    if (!selectedChains.length) {
+      setError("Pick at least one chain to scan")
+      return
+    }
+
+    setLoading(true)
+    try {
+      const { ok, data } = await requestSwaps()
+      if (!ok) {
+        setError(typeof data?.error === "string" ? data.error : "Error fetching your trades")
+        setLoading(false)
+      } else {
+        setResult(data)
+        setBannerDismissed(false)
+        setCurrentStep(1)
+        setTimeout(() => setLoading(false), 120)
+      }
+    } catch (err) {
+      setError("Network error. Please try again later.")
+      setLoading(false)
+    }
+  }
+
+  // Re-run the calculation with other options without leaving the current step
+  async function recalculate(options) {
+    setRecalculating(true)
+    try {
+      const { ok, data } = await requestSwaps(options)
+      if (ok) {
+        setResult(data)
+        setBannerDismissed(false)
+      }
+    } catch (_) {
+      // keep the previous result
+    } finally {
+      setRecalculating(false)
+    }
+  }
+
+  function changeCostBasisMethod(method) {
+    if (method === costBasisMethod || recalculating) return
+    setCostBasisMethod(method)
+    recalculate({ method })
+  }
+
+  function changeUnmatchedSellTreatment(treatment) {
+    if (treatment === unmatchedSellTreatment || recalculating) return
+    setUnmatchedSellTreatment(treatment)
+    recalculate({ treatment })
+  }
+
+  function updateManualCost(tokenKey, value) {
+    setManualCosts((prev) => ({ ...prev, [tokenKey]: value }))
+  }
+
+  // Moving a token onto one list takes it off the other
+  function changeTokenFilters(filters) {
+    if (recalculating) return
+    setTokenFilters(filters)
+    try {
+      window.localStorage.setItem(TOKEN_FILTERS_STORAGE_KEY, JSON.stringify(filters))
+    } catch (_) {
+      // storage unavailable (private mode); the lists still apply to this session
+    }
+    recalculate({ filters })
+  }
+
+  function allowToken(tokenKey) {
+    changeTokenFilters({
+      allow: [...tokenFilters.allow.filter((k) => k !== tokenKey), tokenKey],
+      deny: tokenFilters.deny.filter((k) => k !== tokenKey),
+    })
+  }
+
+  function denyToken(tokenKey) {
+    changeTokenFilters({
+      allow: tokenFilters.allow.filter((k) => k !== tokenKey),
+      deny: [...tokenFilters.deny.filter((k) => k !== tokenKey), tokenKey],
+    })
+  }
+
+  function changePeriod(selectedPeriod) {
+    if (selectedPeriod === period || recalculating) return
+    setPeriod(selectedPeriod)
+    recalculate({ selectedPeriod })
+  }
+
+  const periodLabel = getPeriodLabel(period)
+  const isYearPeriod = period !== ALL_TIME_PERIOD
+
+  const invested = useMemo(() => Number(result?.investedUsd) || 0, [result])
+  const pnl = useMemo(() => Number(result?.pnl) || 0, [result])
+  const realized = useMemo(() => Number(result?.realizedPnlUsd) || 0, [result])
+  const unrealized = useMemo(() => Number(result?.unrealizedPnlUsd) || 0, [result])
+  const feesUsd = useMemo(() => Number(result?.feesUsd) || 0, [result])
+  const wallets = useMemo(() => (Array.isArray(result?.wallets) ? result.wallets : []), [result])
+  const names = useMemo(() => (Array.isArray(result?.names) ? result.names : []), [result])
+  // The first resolved name stands in for the X handle on the share card
+  const ensProfile = names[0] || null
+  const walletLabel = (address) =>
+    names.find((n) => normalizeWalletAddress(n.address) === normalizeWalletAddress(address))?.name || shortAddress(address)
+  const unmatchedSells = useMemo(() => (Array.isArray(result?.unmatchedSells) ? result.unmatchedSells : []), [result])
+  const excludedTokens = useMemo(() => (Array.isArray(result?.excludedTokens) ? result.excludedTokens : []), [result])
+
+  // Best and worst tokens by total (realized + unrealized) PnL
+  const tokenMovers = useMemo(() => {
+    const positions = Array.isArray(result?.positions) ? result.positions : []
+    const ranked = positions
+      .filter((p) => Number.isFinite(Number(p?.pnlUsd)))
+      .slice()
+      .sort((a, b) => b.pnlUsd - a.pnlUsd)
+    const best = ranked.filter((p) => p.pnlUsd > 0).slice(0, TOP_MOVERS)
+    const worst = ranked.filter((p) => p.pnlUsd < 0).reverse().slice(0, TOP_MOVERS)
+    return { best, worst }
+  }, [result])
+
+  const sproutProfit = useMemo(() => getSproutProfit(invested), [invested])
+
+  const compounds = useMemo(() => {
+    if (!Number.isFinite(invested) || invested <= 0) return []
+    return COMP_RATES.map((r, index) => {
+      const final = compoundFutureValue(invested, r, COMP_YEARS)
+      const earnings = final - invested
+      const schedule = buildAnnualSchedule(invested, r, COMP_YEARS)
+      return { rate: r, final, earnings, schedule, label: COMP_LABELS[index] }
+    })
+  }, [invested])
+
+  // Recording support is only known in the browser
+  useEffect(() => {
+    setRecapFormat(getRecapFormat())
+  }, [])
+
+  // Restore the user's allow and deny lists
+  useEffect(() => {
+    try {
+      const storedFilters = JSON.parse(window.localStorage.getItem(TOKEN_FILTERS_STORAGE_KEY) || "null")
+      if (storedFilters) setTokenFilters({ allow: normalizeTokenList(storedFilters.allow), deny: normalizeTokenList(storedFilters.deny) })
+    } catch (_) {
+      // ignore unreadable storage
+    }
+  }, [])
+
+  const nextStep = useCallback(() => {
+    setCurrentStep((prev) => (prev < MAX_STEP ? prev + 1 : prev))
+  }, [])
+
+  
+
+  function fillDemoAddress() {
+    setAddresses((prev) => [DEMO_ADDRESS, ...prev.slice(1)])
+  }
+
+  function updateAddress(index, value) {
+    setAddresses((prev) => prev.map((a, i) => (i === index ? value : a)))
+  }
+
+  function addWallet() {
+    setAddresses((prev) => (prev.length < MAX_WALLETS ? [...prev, ""] : prev))
+  }
+
+  function removeWallet(index) {
+    setAddresses((prev) => (prev.length > 1 ? prev.filter((_, i) => i !== index) : [""]))
+  }
+
+  // Keeps the registry order so requests (and their cache keys) do not depend on click order
+  function toggleChain(id) {
+    setSelectedChains((prev) =>
+      prev.includes(id) ? prev.filter((c) => c !== id) : CHAINS.map((c) => c.id).filter((c) => c === id || prev.includes(c))
+    )
+  }
+
+  const restart = () => {
+    setCurrentStep(0)
+    setResult(null)
+    setAddresses([""])
+  }
+
+  // Permalink whose link preview is this user's own card: the saved card once there is one, else
+  // app/share (rendered by /api/card), which re-runs the scan from the query string
+  const shareUrl = useMemo(() => {
+    if (typeof window === "undefined") return ""
+    if (saved) return `${window.location.origin}${getSavedCardPath(saved.id)}`
+    if (permalink) return `${window.location.origin}${permalink.path}`
+    if (!result) return window.location.origin
+    const query = buildShareQuery({
+      wallets: result.addresses,
+      chains: result.chains,
+      allow: result.tokenFilters?.allowList,
+      deny: result.tokenFilters?.denyList,
+      period,
+      method: result.costBasisMethod,
+      treatment: result.unmatchedSellTreatment,
+      costs: result.unmatchedSellCosts,
+      handle: xHandle,
+      template: templateId,
+      size: sizeId,
+    })
+    return `${window.location.origin}/share?${query}`
+  }, [saved, permalink, result, period, xHandle, templateId, sizeId])
+  const shareText = useMemo(
+    () => buildShareText({ periodLabel, invested, pnl, realized, unrealized }),
+    [periodLabel, invested, pnl, realized, unrealized]
+  )
+
+  // A saved link shows the card as it was, so it goes stale when the result or handle changes
+  useEffect(() => {
+    setPermalink(null)
+  }, [result, xHandle, templateId, sizeId])
+
+  // The scan behind the card on screen. It comes from the result, like shareUrl: the form may have been
+  // edited since (wallets, chains, manual costs not applied yet). from/to follow `period` on the server
+  function getResultScanBody() {
+    return {
+      addresses: result.addresses,
+      chains: result.chains,
+      costBasisMethod: result.costBasisMethod,
+      unmatchedSellTreatment: result.unmatchedSellTreatment,
+      unmatchedSellCosts: result.unmatchedSellCosts,
+      tokenAllowList: result.tokenFilters?.allowList,
+      tokenDenyList: result.tokenFilters?.denyList,
+    }
+  }
+
+  async function createPermalink() {
+    if (!result) return
+    setPermalinkStatus({ saving: true, error: "" })
+    try {
+      const res = await fetch("/api/cards", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          scan: getResultScanBody(),
+          period,
+          handle: xHandle,
+          template: templateId,
+          size: sizeId,
+          ...permalinkOptions,
+        }),
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        setPermalinkStatus({ saving: false, error: typeof data?.error === "string" ? data.error : "Could not save your card" })
+        return
+      }
+      setPermalink(data)
+      setPermalinkStatus({ saving: false, error: "" })
+    } catch (_) {
+      setPermalinkStatus({ saving: false, error: "Network error. Please try again later." })
+    }
+  }
+
+  async function deleteSavedCard() {
+    if (!saved?.deleteToken) return
+    setDeleteStatus({ deleting: true, deleted: false, error: "" })
+    try {
+      const res = await fetch(`/api/cards/${saved.id}`, {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token: saved.deleteToken }),
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        setDeleteStatus({ deleting: false, deleted: false, error: typeof data?.error === "string" ? data.error : "Could not delete this card" })
+        return
+      }
+      setDeleteStatus({ deleting: false, deleted: true, error: "" })
+    } catch (_) {
+      setDeleteStatus({ deleting: false, deleted: false, error: "Network error. Please try again later." })
+    }
+  }
+
+  function openShare(url) {
+    if (typeof window === "undefined") return
+    window.open(url, "_blank", "noopener,noreferrer")
+  }
+
+  async function copyShareToClipboard() {
+    try {
+      await navigator.clipboard.writeText(`${shareText} ${shareUrl}`)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    } catch (_) {
+      // ignore
+    }
+  }
+
+  function shareOnX() {
+    const url = `https://twitter.com/intent/tweet?text=${encodeURIComponent(shareText)}&url=${encodeURIComponent(shareUrl)}`
+    openShare(url)
+  }
+
+  function shareOnTelegram() {
+    const url = `https://t.me/share/url?url=${encodeURIComponent(shareUrl)}&text=${encodeURIComponent(shareText)}`
+    openShare(url)
+  }
+
+  async function triggerConfetti() {
+    try {
+      const mod = await import("canvas-confetti")
+      const confetti = mod.default || mod
+      confetti({
+        particleCount: 120,
+        spread: 70,
+        origin: { y: 0.6 },
+      })
+    } catch (_) {
+      // ignore
+    }
+  }
+
+  // Keyboard navigation across steps
+  useEffect(() => {
+    function onKeyDown(e) {
+      const tag = e.target?.tagName?.toLowerCase()
+      const isTyping = tag === "input" || tag === "textarea" || e.target?.isContentEditable
+      if (isTyping) return
+      if (e.key === "ArrowRight") {
+        nextStep()
+      } else if (e.key === "ArrowLeft") {
+        // no prev button, but still allow going back via keyboard
+        if (currentStep > 1) setCurrentStep(currentStep - 1)
+      } else if (e.key === "Enter" && currentStep >= 1 && currentStep < MAX_STEP) {
+        nextStep()
+      }
+    }
+    window.addEventListener("keydown", onKeyDown)
+    return () => window.removeEventListener("keydown", onKeyDown)
+  }, [currentStep, nextStep])
+
+  // Auto-generate image when entering the share step (no confetti)
+  useEffect(() => {
+    if (currentStep === STEP.share && cardReady) {
+      drawShareCard()
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentStep, cardReady])
+
+  // Keep canvas in sync if inputs change while on the share step (no confetti)
+  useLayoutEffect(() => {
+    if (currentStep === STEP.share && cardReady) {
+      drawShareCard()
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [invested, pnl, realized, unrealized, sproutProfit, xHandle, periodLabel, redrawTick, avatarImage, chainLogos, templateId, sizeId])
+
+  // Load the ENS avatar for the card; CORS-less images would taint the canvas, so they are skipped
+  const avatarUrl = ensProfile?.avatar || null
+  useEffect(() => {
+    setAvatarImage(null)
+    if (!avatarUrl) return
+    let cancelled = false
+    const img = new Image()
+    img.crossOrigin = "anonymous"
+    img.onload = () => { if (!cancelled) setAvatarImage(img) }
+    img.src = avatarUrl
+    return () => { cancelled = true }
+  }, [avatarUrl])
+
+  // Chain logos for the card badges, drawn as monograms until they load
+  const scannedChainIds = (Array.isArray(result?.chains) ? result.chains : []).join(",")
+  useEffect(() => {
+    let cancelled = false
+    loadChainLogos(scannedChainIds ? scannedChainIds.split(",") : []).then((logos) => {
+      if (!cancelled) setChainLogos(logos)
+    })
+    return () => { cancelled = true }
+  }, [scannedChainIds])
+
+  // ChartTransition controls its own completion via onComplete
+
+  // Celebrate green PnL on the PnL step
+  useEffect(() => {
+    if (currentStep === STEP.pnl && pnl > 0) {
+      triggerConfetti()
+    }
+  }, [currentStep, pnl])
+
+  function drawShareCard() {
+    const canvas = canvasRef.current
+    if (!canvas) return
+    const dpr = typeof window !== "undefined" ? window.devicePixelRatio || 1 : 1
+    const template = getCardTemplate(templateId, sizeId)
+    const card = getShareCardModel(result, { handle: xHandle, periodLabel })
+    canvas.width = template.width * dpr
+    canvas.height = template.height * dpr
+    const ctx = canvas.getContext("2d")
+    if (!ctx) return
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    ctx.scale(dpr, dpr)
+    drawCardTemplate(ctx, template, card, { avatar: card.avatarUrl ? avatarImage : null, chainLogos })
+  }
+
+  async function downloadShareCard(format) {
+    const card = getShareCardModel(result, { handle: xHandle, periodLabel })
+    let blob
+    try {
+      blob = await exportCard(format.id, getCardTemplate(templateId, sizeId), card, {
+        avatar: card.avatarUrl ? avatarImage : null,
+        chainLogos,
+      })
+    } catch (_) {
+      return
+    }
+    saveBlob(blob, getCardFileName({ handle: xHandle, names }, format.extension))
+  }
+
+  // Records the recap (title, invested, PnL, comparison, card) as a story-sized video, in real time
+  async function exportRecap() {
+    if (!recapFormat || recapStatus.recording) return
+    const template = getCardTemplate(templateId, "story")
+    const card = getShareCardModel(result, { handle: xHandle, periodLabel })
+    const scenes = getRecapScenes(
+      { periodLabel, isYearPeriod, invested, pnl, realized, unrealized, compounds },
+      template,
+      card,
+      { avatar: card.avatarUrl ? avatarImage : null, chainLogos }
+    )
+    setRecapStatus({ recording: true, percent: 0, error: "" })
+    try {
+      const blob = await recordRecap(template, scenes, {
+        format: recapFormat,
+        onProgress: (progress) => {
+          const percent = Math.round(progress * 100)
+          setRecapStatus((prev) => (prev.percent === percent ? prev : { ...prev, percent }))
+        },
+      })
+      saveBlob(blob, getCardFileName({ handle: xHandle, names }, recapFormat.extension, { prefix: "sproutcard-recap" }))
+      setRecapStatus({ recording: false, percent: 0, error: "" })
+    } catch (_) {
+      setRecapStatus({ recording: false, percent: 0, error: "Could not record the recap in this browser" })
+    }
+  }
+
+  async function copyShareCard() {
+    drawShareCard()
+    const canvas = canvasRef.current
+    if (!canvas) return
+    canvas.toBlob(async (blob) => {
+      try {
+        // @ts-ignore - ClipboardItem exists in browsers
+        await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })])
+        setCopied(true)
+        setTimeout(() => setCopied(false), 1500)
+      } catch (_) {
+        // fallback: open image in new tab
+        const url = URL.createObjectURL(blob)
+        window.open(url, "_blank")
+      }
+    })
+  }
+
+  const showSteps = result && currentStep > 0
+
+  return (
+    <div className="min-h-screen w-full relative overflow-hidden">
+      {/* Background gradient */}
+      <div className="absolute inset-0 bg-gradient-to-br from-primary/20 via-background to-accent/10 animate-gradient" />
+      {/* Animated decorative shapes */}
+      <div className="pointer-events-none absolute -top-24 -right-24 w-72 h-72 rounded-full bg-accent/20 blur-3xl animate-float-slow" />
+      <div className="pointer-events-none absolute -bottom-16 -left-16 w-80 h-80 rounded-full bg-primary/20 blur-3xl animate-float-slow" />
+
+      {/* Global loading overlay: keep one stable instance to avoid restart */}
+      <AnimatePresence>
+        {loading && (
+          <ChartTransition key="loading-chart-global" loop onComplete={() => {}}>
+            <ScanProgress progress={scanProgress} />
+          </ChartTransition>
+        )}
+      </AnimatePresence>
+
+      {showSteps && result?.diagnostics?.partial && !bannerDismissed && (
+        <PartialDataBanner diagnostics={result.diagnostics} onDismiss={() => setBannerDismissed(true)} />
+      )}
+
+      {/* Content */}
+      {!showSteps && (
+        <main className="w-full max-w-4xl mx-auto p-6 sm:p-8 lg:p-10 flex flex-col justify-center gap-8 relative z-10">
+          <div className="text-center mb-4">
+            <h1 className="text-4xl md:text-6xl font-bold bg-gradient-to-r from-primary to-accent bg-clip-text text-transparent mb-2">
+              Sprouted?
+            </h1>
+            <p className="text-xl text-muted-foreground">Let&apos;s unveil your onchain trading PNL</p>
+          </div>
+
+          <Card className="p-8 bg-card/50 backdrop-blur-sm border-primary/20 shadow-xl">
+            <form onSubmit={handleSubmit} ref={formRef} className="flex flex-col gap-6">
+              <div className="flex flex-col gap-3">
+                <label className="text-lg font-medium text-foreground">
+                  {addresses.length > 1 ? "Enter your wallet addresses or ENS names" : "Enter your wallet address or ENS name"}
+                </label>
+                {addresses.map((value, index) => (
+                  <div key={index} className="flex gap-2 items-center">
+                    <input
+                      className="flex-1 border border-input rounded-xl px-4 py-3 bg-input text-foreground shadow-sm focus:outline-none focus:ring-2 focus:ring-ring focus:border-primary transition-all duration-200 text-lg"
+                      placeholder="0x..., name.eth or Solana address"
+                      aria-label={`Wallet ${index + 1}`}
+                      value={value}
+                      onChange={(e) => updateAddress(index, e.target.value)}
+                    />
+                    {index === 0 ? (
+                      <Button type="button" variant="secondary" onClick={fillDemoAddress} title="Use demo address">Demo</Button>
+                    ) : (
+                      <Button type="button" variant="outline" onClick={() => removeWallet(index)} title="Remove wallet">✕</Button>
+                    )}
+                  </div>
+                ))}
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-xs text-muted-foreground">We only fetch public onchain data.</span>
+                  {addresses.length < MAX_WALLETS && (
+                    <Button type="button" variant="outline" size="sm" onClick={addWallet}>+ Add wallet</Button>
+                  )}
+                </div>
+              </div>
+
+              <fieldset className="flex flex-col gap-2">
+                <legend className="text-sm font-medium text-foreground mb-2">Chains</legend>
+                <div className="flex flex-wrap gap-2">
+                  {CHAINS.map((chain) => {
+                    const selected = selectedChains.includes(chain.id)
+                    return (
+                      <Button
+                        key={chain.id}
+                        type="button"
+                        size="sm"
+                        variant={selected ? "default" : "outline"}
+                        aria-pressed={selected}
+                        className="gap-2"
+                        onClick={() => toggleChain(chain.id)}
+                      >
+                        <span className="inline-block size-2.5 rounded-full" style={{ backgroundColor: chain.color }} />
+                        {chain.name}
+                      </Button>
+                    )
+                  })}
+                </div>
+              </fieldset>
+
+              {error && (
+                <div
+                  className="text-destructive text-sm bg-destructive/10 p-3 rounded-lg border border-destructive/20"
+                  role="alert"
+                >
+                  {error}
+                </div>
+              )}
+
+              <Button
+                type="submit"
+                size="lg"
+                className="bg-gradient-to-r from-primary to-accent hover:from-primary/90 hover:to-accent/90 text-primary-foreground py-4 text-lg rounded-xl shadow-lg hover:shadow-xl transition-all duration-300"
+                disabled={loading}
+              >
+                {loading ? "Analyzing your trades..." : "Summon the alpha →"}
+              </Button>
+            </form>
+          </Card>
+        </main>
+      )}
+
+      {showSteps && (
+        <AnimatePresence mode="wait">
+          {currentStep === STEP.intro && (
+            <motion.div
+              key={STEP.intro}
+              initial={{ opacity: 0, y: 18, scale: 0.985 }}
+              animate={{ opacity: 1, y: 0, scale: 1 }}
+              exit={{ opacity: 0, y: -12, scale: 0.992 }}
+              transition={{ duration: DURATION_IN, ease: EASE }}
+              className="relative z-10 min-h-[100svh] flex items-center justify-center p-4 sm:p-6"
+            >
+              <div className="text-center max-w-2xl">
+                <div className="mb-8">
+                  <h1 className="text-5xl md:text-7xl font-bold leading-tight bg-gradient-to-r from-primary to-accent bg-clip-text text-transparent mb-4">
+                    {periodLabel}
+                  </h1>
+                  <h2 className="text-xl md:text-3xl font-semibold text-foreground mb-2">
+                    {isYearPeriod ? "Your Trading Year" : "Your Trading Journey"}
+                  </h2>
+                  <p className="text-lg text-muted-foreground">Let&apos;s dive into your onchain trading journey</p>
+                  <p className="text-sm text-muted-foreground mt-2">Spoiler: there&apos;s green… somewhere. Probably. 👀</p>
+                  {!readOnly && (
+                    <div className="flex flex-wrap gap-2 justify-center mt-6" role="group" aria-label="Period">
+                      {periodOptions.map((option) => (
+                        <Button
+                          key={option.id}
+                          size="sm"
+                          variant={option.id === period ? "default" : "outline"}
+                          disabled={recalculating}
+                          onClick={() => changePeriod(option.id)}
+                        >
+                          {option.label}
+                        </Button>
+                      ))}
+                    </div>
+                  )}
+                  {recalculating && <p className="text-xs text-muted-foreground mt-2">Recalculating…</p>}
+                </div>
+                <Button
+                  onClick={nextStep}
+                  size="lg"
+                  className="bg-gradient-to-r from-primary to-accent hover:from-primary/90 hover:to-accent/90 text-primary-foreground px-8 py-4 text-lg rounded-full shadow-lg hover:shadow-xl transition-all duration-300 animate-glow"
+                >
+                  Show me my stats ✨
+                </Button>
+              </div>
+            </motion.div>
+          )}
+
+          {currentStep === STEP.invested && (
+            <motion.div
+              key={STEP.invested}
+              initial={{ opacity: 0, y: 18, scale: 0.985 }}
+              animate={{ opacity: 1, y: 0, scale: 1 }}
+              exit={{ opacity: 0, y: -12, scale: 0.992 }}
+              transition={{ duration: DURATION_IN, ease: EASE }}
+              className="relative z-10 min-h-[100svh] flex items-center justify-center p-4 sm:p-6"
+            >
+              <div className="text-center max-w-2xl">
+                <div className="mb-12 w-full max-w-[90vw] md:max-w-2xl">
+                  <p className="text-lg text-muted-foreground">You invested approx.</p>
+                  <AutoSizeText
+                    text={formatUsd(invested)}
+                    maxPx={104}
+                    minPx={24}
+                    className="font-bold bg-gradient-to-r from-primary to-accent bg-clip-text text-transparent leading-tight block"
+                  />
+                  <p className="text-xl text-muted-foreground">
+                    {isYearPeriod ? `in onchain trading in ${periodLabel}` : "in onchain trading so far"}
+                  </p>
+                  <p className="text-sm text-muted-foreground mt-2">We didn&apos;t count your legendary “just ape” moments. Yet. 🦍</p>
+                  {feesUsd > 0 && (
+                    <p className="text-lg text-muted-foreground mt-6">
+                      …and you paid <span className="font-semibold text-foreground">{formatUsd(feesUsd)}</span> in gas ⛽
+                    </p>
+                  )}
+                </div>
+                <Button
+                  onClick={nextStep}
+                  size="lg"
+                  className="bg-gradient-to-r from-primary to-accent hover:from-primary/90 hover:to-accent/90 text-primary-foreground px-8 py-4 text-lg rounded-full"
+                >
+                  What about my returns? 📈
+                </Button>
+              </div>
+            </motion.div>
+          )}
+
+          {currentStep === STEP.pnl && (
+            <motion.div
+              key={STEP.pnl}
+              initial={{ opacity: 0, y: 18, scale: 0.985 }}
+              animate={{ opacity: 1, y: 0, scale: 1 }}
+              exit={{ opacity: 0, y: -12, scale: 0.992 }}
+              transition={{ duration: DURATION_IN, ease: EASE }}
+              className="relative z-10 min-h-[100svh] flex items-center justify-center p-4 sm:p-6"
+            >
+              <div className="text-center max-w-3xl">
+                <div className="mb-12">
+                  <p className="text-lg text-muted-foreground mb-4">Your total PnL was</p>
+                  <AutoSizeText
+                    text={formatUsd(pnl)}
+                    maxPx={104}
+                    minPx={28}
+                    className={`font-bold mb-6 leading-tight ${pnl >= 0 ? "text-primary" : "text-destructive"}`}
+                  />
+                  <p className="text-sm text-muted-foreground">If it&apos;s red, we blame the market maker. If it&apos;s green, skill issue (yours). 😉</p>
+                  {!readOnly && (
+                    <div className="flex flex-wrap gap-2 justify-center mt-6" role="group" aria-label="Cost basis method">
+                      {COST_BASIS_METHODS.map((method) => (
+                        <Button
+                          key={method}
+                          size="sm"
+                          variant={(result?.costBasisMethod || costBasisMethod) === method ? "default" : "outline"}
+                          disabled={recalculating}
+                          onClick={() => changeCostBasisMethod(method)}
+                        >
+                          {COST_BASIS_LABELS[method]}
+                        </Button>
+                      ))}
+                    </div>
+                  )}
+                  {recalculating && <p className="text-xs text-muted-foreground mt-2">Recalculating…</p>}
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-8">
+                    <Card className="p-6 bg-card/50 backdrop-blur-sm border-primary/20">
+                      <div className="text-sm text-muted-foreground mb-2">Realized</div>
+                      <div className={`text-3xl font-bold ${realized >= 0 ? "text-primary" : "text-destructive"}`}>
+                        {formatUsd(realized)}
+                      </div>
+                    </Card>
+                    <Card className="p-6 bg-card/50 backdrop-blur-sm border-primary/20">
+                      <div className="text-sm text-muted-foreground mb-2">Unrealized</div>
+                      <div className={`text-3xl font-bold ${unrealized >= 0 ? "text-primary" : "text-destructive"}`}>
+                        {formatUsd(unrealized)}
+                      </div>
+                      {result?.period?.includesUnrealized === false && (
+                        <p className="text-xs text-muted-foreground mt-2">Not counted: {periodLabel} has ended</p>
+                      )}
+                    </Card>
+                  </div>
+                  {feesUsd > 0 && (
+                    <p className="text-sm text-muted-foreground mt-4">
+                      Gross {formatUsd(pnl)} · Gas −{formatUsd(feesUsd)} · Net{" "}
+                      <span className={`font-semibold ${pnl - feesUsd >= 0 ? "text-primary" : "text-destructive"}`}>
+                        {formatUsd(pnl - feesUsd)}
+                      </span>
+                    </p>
+                  )}
+                  {!readOnly && unmatchedSells.length > 0 && (
+                    <UnknownCostBasisWarning
+                      unmatchedSells={unmatchedSells}
+                      treatment={result?.unmatchedSellTreatment || unmatchedSellTreatment}
+                      manualCosts={manualCosts}
+                      disabled={recalculating}
+                      onTreatmentChange={changeUnmatchedSellTreatment}
+                      onManualCostChange={updateManualCost}
+                      onApply={() => recalculate({ treatment: "manual" })}
+                    />
+                  )}
+                  {!readOnly && excludedTokens.length > 0 && (
+                    <ExcludedTokensNotice
+                      excludedTokens={excludedTokens}
+                      hasLists={tokenFilters.allow.length + tokenFilters.deny.length > 0}
+                      disabled={recalculating}
+                      onAllow={allowToken}
+                      onResetLists={() => changeTokenFilters({ allow: [], deny: [] })}
+                    />
+                  )}
+                  {wallets.length > 1 && (
+                    <Card className="p-6 mt-6 bg-card/50 backdrop-blur-sm border-primary/20 text-left">
+                      <div className="text-sm text-muted-foreground mb-3">Realized PnL by wallet</div>
+                      <ul className="flex flex-col gap-2">
+                        {wallets.map((w) => (
+                          <li key={w.address} className="flex items-center justify-between gap-4">
+                            <span className="font-mono text-sm text-foreground" title={w.address}>{walletLabel(w.address)}</span>
+                            <span className="text-xs text-muted-foreground">{w.swaps} swaps · invested {formatUsd(w.investedUsd)}</span>
+                            <span className={`font-semibold ${w.realizedPnlUsd >= 0 ? "text-primary" : "text-destructive"}`}>
+                              {formatUsd(w.realizedPnlUsd)}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </Card>
+                  )}
+                </div>
+                <Button
+                  onClick={nextStep}
+                  size="lg"
+                  className="bg-gradient-to-r from-primary to-accent hover:from-primary/90 hover:to-accent/90 text-primary-foreground px-8 py-4 text-lg rounded-full"
+                >
+                  Show me the ride 📉📈
+                </Button>
+              </div>
+            </motion.div>
+          )}
+
+          {currentStep === STEP.curve && (
+            <motion.div
+              key={STEP.curve}
+              initial={{ opacity: 0, y: 18, scale: 0.985 }}
+              animate={{ opacity: 1, y: 0, scale: 1 }}
+              exit={{ opacity: 0, y: -12, scale: 0.992 }}
+              transition={{ duration: DURATION_IN, ease: EASE }}
+              className="relative z-10 min-h-[100svh] flex items-center justify-center p-4 sm:p-6"
+            >
+              <div className="text-center w-full max-w-4xl">
+                <div className="mb-12">
+                  <h2 className="text-3xl md:text-5xl font-bold mb-4 text-foreground">The ride</h2>
+                  <p className="text-sm text-muted-foreground mb-6">Every line has a story. Some of them are horror. 🎢</p>
+                  <Card className="p-5 bg-card/70 backdrop-blur-md border-primary/20 shadow-2xl">
+                    <EquityCurveChart timeline={result?.timeline} />
+                  </Card>
+                </div>
+                <Button
+                  onClick={nextStep}
+                  size="lg"
+                  className="bg-gradient-to-r from-primary to-accent hover:from-primary/90 hover:to-accent/90 text-primary-foreground px-8 py-4 text-lg rounded-full"
+                >
+                  Which tokens did it? 🔍
+                </Button>
+              </div>
+            </motion.div>
+          )}
+
+          {currentStep === STEP.tokens && (
+            <motion.div
+              key={STEP.tokens}
+              initial={{ opacity: 0, y: 18, scale: 0.985 }}
+              animate={{ opacity: 1, y: 0, scale: 1 }}
+              exit={{ opacity: 0, y: -12, scale: 0.992 }}
+              transition={{ duration: DURATION_IN, ease: EASE }}
+              className="relative z-10 min-h-[100svh] flex items-center justify-center p-4 sm:p-6"
+            >
+              <div className="text-center w-full max-w-4xl">
+                <div className="mb-12">
+                  <h2 className="text-3xl md:text-5xl font-bold mb-4 text-foreground">Your heroes and villains</h2>
+                  <p className="text-sm text-muted-foreground">Some bags carried you. Some bags… were carried. 🎒</p>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-8">
+                    <TokenMoverList title="Best tokens" items={tokenMovers.best} emptyText="No winners this time." onExclude={readOnly ? null : denyToken} />
+                    <TokenMoverList title="Worst tokens" items={tokenMovers.worst} emptyText="No losers. Suspicious. 🧐" onExclude={readOnly ? null : denyToken} />
+                  </div>
+                </div>
+                <Button
+                  onClick={nextStep}
+                  size="lg"
+                  className="bg-gradient-to-r from-primary to-accent hover:from-primary/90 hover:to-accent/90 text-primary-foreground px-8 py-4 text-lg rounded-full"
+                >
+                  But what if... 🤔
+                </Button>
+              </div>
+            </motion.div>
+          )}
+
+          {currentStep === STEP.compare && (
+            <motion.div
+              key={STEP.compare}
+              initial={{ opacity: 0, y: 18, scale: 0.985 }}
+              animate={{ opacity: 1, y: 0, scale: 1 }}
+              exit={{ opacity: 0, y: -12, scale: 0.992 }}
+              transition={{ duration: DURATION_IN, ease: EASE }}
+              className="relative z-10 min-h-[100svh] flex items-center justify-center p-4 sm:p-6"
+            >
+              <div className="text-center max-w-5xl">
+                <div className="mb-12">
+                  <h2 className="text-3xl md:text-5xl font-bold mb-4 text-foreground">
+                    What if you invested in Sprout instead?
+                  </h2>
+                  <p className="text-lg text-muted-foreground mb-2">
+                    Here&apos;s what your {formatUsd(invested)} could have earned with compound interest
+                  </p>
+                  <p className="text-sm text-muted-foreground">Math is honest. Markets… not always. 📚</p>
+
+                  {invested > 0 ? (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6 mt-6 md:mt-8">
+                      {compounds.map((c, index) => (
+                        <motion.div key={c.rate} initial={{ opacity: 0, y: 12 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: index * 0.08 }}>
+                          <Card
+                            className="p-6 bg-card/50 backdrop-blur-sm border-primary/20 hover:border-primary/40 transition-all duration-300 hover:scale-105"
+                          >
+                            <div className="text-center">
+                              <div className="text-2xl font-bold text-primary mb-1">{Math.round(c.rate * 100)}% APY</div>
+                              <div className="text-xs text-muted-foreground mb-2">{c.label}</div>
+                              <div className="text-3xl sm:text-4xl font-bold text-foreground mb-2 leading-tight">{formatUsd(c.earnings)}</div>
+                              <div className="text-sm text-muted-foreground mb-4">Total: {formatUsd(c.final)}</div>
+                              <div className="text-xs text-muted-foreground">Over 5 years</div>
+                            </div>
+                          </Card>
+                        </motion.div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-muted-foreground">No invested amount detected.</p>
+                  )}
+                </div>
+
+                <div className="flex gap-4 justify-center">
+                  <Button
+                    onClick={nextStep}
+                    size="lg"
+                    className="bg-gradient-to-r from-primary to-accent hover:from-primary/90 hover:to-accent/90 text-primary-foreground px-8 py-4 text-lg rounded-full"
+                  >
+                    Share my stats 📣
+                  </Button>
+                </div>
+              </div>
+            </motion.div>
+          )}
+
+          {currentStep === STEP.share && (
+            <motion.div
+              key={STEP.share}
+              initial={{ opacity: 0, y: 18, scale: 0.985 }}
+              animate={{ opacity: 1, y: 0, scale: 1 }}
+              exit={{ opacity: 0, y: -12, scale: 0.992 }}
+              transition={{ duration: DURATION_IN, ease: EASE }}
+              className="relative z-10 min-h-screen flex items-center justify-center p-6"
+            >
+              <div className="text-center w-full">
+                <div className="mx-auto w-full max-w-3xl flex flex-col items-center gap-4">
+                  {!cardReady && (
+                    <div className="w-full flex flex-col sm:flex-row gap-3 items-center justify-center">
+                      <input
+                        className="border border-input rounded-xl px-4 py-3 bg-input text-foreground shadow-sm focus:outline-none focus:ring-2 focus:ring-ring focus:border-primary transition-all duration-200 text-lg w-full sm:w-80"
+                        placeholder={ensProfile ? `Your X handle (or we use ${ensProfile.name})` : "Your X handle (e.g., @trader)"}
+                        value={xHandle}
+                        onChange={(e) => setXHandle(e.target.value)}
+                      />
+                      <Button onClick={() => { setCardReady(true); setTimeout(() => drawShareCard(), 0); }} className="px-6 gap-2"> <FaMagic /> Generate</Button>
+                    </div>
+                  )}
+                  {cardReady && !deleteStatus.deleted && (
+                    <>
+                      <div className="flex flex-wrap gap-2 justify-center" role="group" aria-label="Card size">
+                        {CARD_SIZES.map((size) => (
+                          <Button
+                            key={size.id}
+                            size="sm"
+                            variant={size.id === sizeId ? "default" : "outline"}
+                            aria-pressed={size.id === sizeId}
+                            onClick={() => setSizeId(size.id)}
+                          >
+                            {size.label}
+                          </Button>
+                        ))}
+                      </div>
+                      {!readOnly && (
+                        <div className="flex flex-wrap gap-2 justify-center" role="group" aria-label="Card template">
+                          {CARD_TEMPLATES.map((template) => (
+                            <Button
+                              key={template.id}
+                              size="sm"
+                              variant={template.id === templateId ? "default" : "outline"}
+                              aria-pressed={template.id === templateId}
+                              onClick={() => setTemplateId(template.id)}
+                            >
+                              {template.label}
+                            </Button>
+                          ))}
+                        </div>
+                      )}
+                      <canvas ref={canvasRef} className="max-w-full max-h-[75vh] w-auto h-auto rounded-xl shadow-2xl bg-white" />
+                      <div className="flex flex-wrap gap-3 justify-center mt-2">
+                        <div className="flex items-center gap-1" role="group" aria-label="Download">
+                          <span className="text-sm text-muted-foreground mr-1">Download</span>
+                          {CARD_EXPORT_FORMATS.map((format) => (
+                            <Button key={format.id} size="sm" variant="outline" onClick={() => downloadShareCard(format)}>
+                              {format.label}
+                            </Button>
+                          ))}
+                        </div>
+                        <Button onClick={copyShareCard} className="px-6">{copied ? "Copied!" : "Copy image"}</Button>
+                        {recapFormat && (
+                          <Button variant="outline" className="px-6" disabled={recapStatus.recording} onClick={exportRecap}>
+                            {recapStatus.recording ? `Recording… ${recapStatus.percent}%` : "Export recap video"}
+                          </Button>
+                        )}
+                        {!readOnly && (
+                          <Button variant="outline" className="px-6" onClick={() => { setCardReady(false); }}>Edit handle</Button>
+                        )}
+                      </div>
+                      {recapStatus.recording && (
+                        <p className="text-xs text-muted-foreground">Recording plays in real time; keep this tab open.</p>
+                      )}
+                      {recapStatus.error && <p className="text-xs text-destructive" role="alert">{recapStatus.error}</p>}
+                      <p className="text-xs text-muted-foreground">Tag @sproutfi_xyz if it slaps 🔥</p>
+                      {!readOnly && (
+                        <PermalinkPanel
+                          options={permalinkOptions}
+                          permalink={permalink}
+                          status={permalinkStatus}
+                          onOptionsChange={setPermalinkOptions}
+                          onCreate={createPermalink}
+                        />
+                      )}
+                    </>
+                  )}
+                  {readOnly && (
+                    <SavedCardFooter saved={saved} status={deleteStatus} onDelete={deleteSavedCard} />
+                  )}
+                </div>
+              </div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      )}
+
+      {/* Progress indicator - clickable dots */}
+      {showSteps && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-20" style={{ paddingBottom: "calc(env(safe-area-inset-bottom, 0px))" }}>
+          <div className="flex gap-3 items-center">
+            {Array.from({ length: MAX_STEP }, (_, i) => i + 1).map((step) => (
+              <button
+                key={step}
+                onClick={() => setCurrentStep(step)}
+                title={`Step ${step}`}
+                className={`w-4 h-4 sm:w-3 sm:h-3 rounded-full transition-all duration-300 border-0 outline-none focus:outline-none focus:ring-0 p-0 ${
+                  step === currentStep ? "bg-primary" : "bg-primary/20 hover:bg-primary/40"
+                } cursor-pointer`}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,1170 @@
+import {
+  createLotBook,
+  normalizeCostBasisMethod,
+  normalizeManualCosts,
+  normalizeUnmatchedSellTreatment,
+} from "@/lib/costBasis";
+import { parseTimestamp } from "@/lib/periods";
+import { DEFAULT_MAX_PRICE_MOVE, DEFAULT_MIN_LIQUIDITY_USD, getTokenExclusion, normalizeTokenList } from "@/lib/spam";
+import { createFileCache, isFresh, readTtlMs } from "@/lib/cache";
+import { createDeadline, mapWithConcurrency, readNonNegativeNumber, readPositiveInt } from "@/lib/concurrency";
+import { getDataProvider } from "@/lib/providers";
+import { getNameResolver } from "@/lib/resolvers";
+import { getAddressFamily, isEnsName, isWalletInput, normalizeName, normalizeWalletAddress } from "@/lib/names";
+import { getBridgeName, getCanonicalDepositName } from "@/lib/bridges";
+import { DEFAULT_CHAIN_IDS, getChain, normalizeAddress } from "@/lib/chains";
+import {
+  NATIVE_SYMBOLS,
+  NATIVE_TOKEN_ADDRESS,
+  getKnownSymbol,
+  getPriceAddress,
+  getTokenKey,
+  getTokenLocation,
+  isStablecoin,
+} from "@/lib/tokens";
+
+const MAX_WALLETS = 10;
+// Quantities at or below this are floating-point leftovers of a fully closed position
+const DUST_QUANTITY = 1e-9;
+const priceCache = createFileCache("prices");
+// Prices as of a past block never change, so they are cached without expiry
+const historicalPriceCache = createFileCache("historical-prices");
+
+// Accepts `addresses` (array) or the single `address` field; drops blanks and duplicates (EVM addresses
+// and names compare case-insensitively, Solana addresses do not).
+// Entries are EVM or Solana addresses or ENS names / Basenames, resolved by `resolveWalletInputs`.
+function parseAddresses(body) {
+  const raw = Array.isArray(body?.addresses) ? body.addresses : [body?.address];
+  const seen = new Set();
+  const addresses = [];
+  for (const value of raw) {
+    const address = typeof value === "string" ? value.trim() : "";
+    const key = isEnsName(address) ? normalizeName(address) : normalizeWalletAddress(address);
+    if (!address || seen.has(key)) continue;
+    seen.add(key);
+    addresses.push(address);
+  }
+  return addresses;
+}
+
+// Turns names into addresses; a name and the address it points to count as one wallet.
+// Returns the addresses in input order, the resolved `names` and the inputs that did not resolve.
+async function resolveWalletInputs(inputs, resolver, { deadline }) {
+  const lookups = await Promise.all(
+    inputs.map(async (input) => {
+      if (!isEnsName(input)) return { input, address: input };
+      const name = normalizeName(input);
+      const { address, avatar, error } = await resolver.resolveName(name, { deadline });
+      return { input, name, address, avatar, error };
+    })
+  );
+  const seen = new Set();
+  const addresses = [];
+  const names = [];
+  const unresolved = [];
+  for (const { input, name, address, avatar, error } of lookups) {
+    if (!address) {
+      unresolved.push({ name: input, error });
+      continue;
+    }
+    if (name) names.push({ name, address, avatar });
+    if (seen.has(normalizeWalletAddress(address))) continue;
+    seen.add(normalizeWalletAddress(address));
+    addresses.push(address);
+  }
+  return { addresses, names, unresolved };
+}
+
+function getWalletStats(statsByWallet, wallet) {
+  if (!statsByWallet[wallet]) {
+    statsByWallet[wallet] = {
+      address: wallet,
+      swaps: 0,
+      buys: 0,
+      sells: 0,
+      boughtUsd: 0,
+      soldUsd: 0,
+      realizedPnlUsd: 0,
+      feesUsd: 0,
+      cashFlowUsd: 0,
+      minCashFlowUsd: 0,
+    };
+  }
+  return statsByWallet[wallet];
+}
+
+function simplifySwapItem(item) {
+  const simplified = {
+    transactionHash: item?.transactionHash ?? null,
+    transactionType: item?.transactionType ?? null,
+    baseQuotePrice: item?.baseQuotePrice ?? null,
+    blockTimestamp: item?.blockTimestamp ?? null,
+    blockNumber: Number.isFinite(Number(item?.blockNumber)) ? Number(item.blockNumber) : null,
+    pairLabel: item?.pairLabel ?? null,
+    totalValueUsd: item?.totalValueUsd ?? null,
+    boughtAmount: Number.isFinite(Number(item?.bought?.amount))
+      ? Number(item.bought.amount)
+      : null,
+    boughtUsdAmount: Number.isFinite(Number(item?.bought?.usdAmount))
+      ? Number(item.bought.usdAmount)
+      : null,
+    soldAmount: Number.isFinite(Number(item?.sold?.amount))
+      ? Number(item.sold.amount)
+      : null,
+    soldUsdAmount: Number.isFinite(Number(item?.sold?.usdAmount))
+      ? Number(item.sold.usdAmount)
+      : null,
+    boughtSymbol: item?.bought?.symbol ?? null,
+    boughtLogo: item?.bought?.logo ?? null,
+    soldSymbol: item?.sold?.symbol ?? null,
+    soldLogo: item?.sold?.logo ?? null,
+  };
+
+  return simplified;
+}
+
+// Ticker of the pair's base token, only used when the swap carries no token metadata
+function getPairBaseSymbol(pairLabel) {
+  if (typeof pairLabel !== "string") return null;
+  return (pairLabel.split("/")[0] || "").trim() || null;
+}
+
+// Records display metadata and the chains a token was seen on; returns the token's metadata
+function rememberToken(tokenMeta, tokenKey, location, { symbol, logo, pairLabel }) {
+  if (!tokenMeta[tokenKey]) {
+    tokenMeta[tokenKey] = { symbol: getKnownSymbol(tokenKey), logo: null, locations: new Set() };
+  }
+  const meta = tokenMeta[tokenKey];
+  meta.locations.add(`${location.chain}:${location.address}`);
+  if (!meta.symbol) {
+    meta.symbol = (typeof symbol === "string" && symbol.trim()) || getPairBaseSymbol(pairLabel) || location.address;
+  }
+  if (!meta.logo && typeof logo === "string" && logo) meta.logo = logo;
+  return meta;
+}
+
+function getPositionStats(statsByToken, tokenKey) {
+  if (!statsByToken[tokenKey]) {
+    statsByToken[tokenKey] = {
+      tokenKey,
+      buys: 0,
+      sells: 0,
+      quantityBought: 0,
+      quantitySold: 0,
+      boughtUsd: 0,
+      soldUsd: 0,
+      realizedPnlUsd: 0,
+    };
+  }
+  return statsByToken[tokenKey];
+}
+
+function readUsdAmount(value) {
+  const amount = Math.abs(Number(value));
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+// USD value of one side of a swap and where it came from: the provider's own USD amount ("swap"), else
+// the other side's ("counterLeg"), counting a stablecoin other side at face value. Null when neither
+// side is priced; `backfillHistoricalPrices` may then fill it in ("historical").
+function valueSwapSide(ownUsd, otherUsd, otherAddress, otherAmount, chain) {
+  if (ownUsd !== null) return { usdAmount: ownUsd, valuationSource: "swap" };
+  if (otherUsd !== null) return { usdAmount: otherUsd, valuationSource: "counterLeg" };
+  const faceValue = readUsdAmount(otherAmount);
+  if (otherAddress && isStablecoin(chain, otherAddress) && faceValue !== null) {
+    return { usdAmount: faceValue, valuationSource: "counterLeg" };
+  }
+  return { usdAmount: null, valuationSource: null };
+}
+
+// Every swap disposes of what was sold and acquires what was bought; Moralis' buy/sell label is not used.
+// Stablecoins are cash, so they never become positions: stable -> token only opens the bought position,
+// token -> stable only closes the sold one, and token -> token does both, realizing PnL on the sold leg.
+function getSwapLegs(item) {
+  const boughtUsd = readUsdAmount(item.boughtUsdAmount);
+  const soldUsd = readUsdAmount(item.soldUsdAmount);
+  const legs = [];
+  if (item.soldAddress && !isStablecoin(item.chain, item.soldAddress)) {
+    legs.push({
+      side: "sell",
+      address: item.soldAddress,
+      quantity: Math.abs(Number(item.soldAmount)),
+      ...valueSwapSide(soldUsd, boughtUsd, item.boughtAddress, item.boughtAmount, item.chain),
+      symbol: item.soldSymbol,
+      logo: item.soldLogo,
+    });
+  }
+  if (item.boughtAddress && !isStablecoin(item.chain, item.boughtAddress)) {
+    legs.push({
+      side: "buy",
+      address: item.boughtAddress,
+      quantity: Math.abs(Number(item.boughtAmount)),
+      ...valueSwapSide(boughtUsd, soldUsd, item.soldAddress, item.soldAmount, item.chain),
+      symbol: item.boughtSymbol,
+      logo: item.boughtLogo,
+    });
+  }
+  return legs;
+}
+
+// Values legs neither side of the swap could price at the token's price as of the swap's block; a leg
+// with no historical price either takes the other leg's backfilled value. Lookups are deduplicated and
+// cached; legs still without a price are left unvalued.
+async function backfillHistoricalPrices(provider, swaps, { cacheStats, deadline, concurrency }) {
+  const lookups = new Map(); // cache key -> { chain, priceAddress, blockNumber, blockTimestamp, legs }
+  for (const item of swaps) {
+    for (const leg of item.legs) {
+      if (leg.usdAmount !== null || !Number.isFinite(leg.quantity) || leg.quantity <= 0) continue;
+      const location = getTokenLocation(item.chain, leg.address);
+      const priceAddress = location && getPriceAddress(location.chain, location.address);
+      if (!priceAddress) continue;
+      const key = `${provider.name}:${item.chain}:${normalizeAddress(item.chain, priceAddress)}:${item.blockNumber ?? item.blockTimestamp}`;
+      if (!lookups.has(key)) {
+        lookups.set(key, {
+          chain: item.chain,
+          priceAddress,
+          blockNumber: item.blockNumber,
+          blockTimestamp: item.blockTimestamp,
+          legs: [],
+        });
+      }
+      lookups.get(key).legs.push(leg);
+    }
+  }
+  if (!lookups.size || typeof provider.fetchHistoricalPrice !== "function") return;
+
+  await mapWithConcurrency([...lookups], concurrency, async ([key, lookup]) => {
+    let usdPrice = null;
+    const cached = await historicalPriceCache.get(key);
+    if (cached) {
+      cacheStats.historicalPrices.hits += 1;
+      usdPrice = cached.value;
+    } else {
+      cacheStats.historicalPrices.misses += 1;
+      if (deadline.expired()) return;
+      try {
+        const fetched = await provider.fetchHistoricalPrice(lookup.chain, lookup.priceAddress, {
+          blockNumber: lookup.blockNumber,
+          blockTimestamp: lookup.blockTimestamp,
+          deadline,
+        });
+        usdPrice = fetched.usdPrice;
+      } catch (err) {
+        usdPrice = null;
+      }
+      if (usdPrice !== null) await historicalPriceCache.set(key, usdPrice);
+    }
+    if (usdPrice === null) return;
+    for (const leg of lookup.legs) {
+      leg.usdAmount = leg.quantity * usdPrice;
+      leg.valuationSource = "historical";
+    }
+  });
+
+  for (const item of swaps) {
+    const valued = item.legs.find((leg) => leg.valuationSource === "historical");
+    if (!valued) continue;
+    for (const leg of item.legs) {
+      if (leg.usdAmount !== null) continue;
+      leg.usdAmount = valued.usdAmount;
+      leg.valuationSource = "counterLeg";
+    }
+  }
+}
+
+// Price of the swap-implied point closest in time, or null when the coin was never swapped
+function getNearestNativePrice(points, symbol, timestampMs) {
+  let best = null;
+  for (const point of points) {
+    if (point.symbol !== symbol) continue;
+    if (!best || Math.abs(point.timestampMs - timestampMs) < Math.abs(best.timestampMs - timestampMs)) best = point;
+  }
+  return best ? best.usdPrice : null;
+}
+
+// Appends a daily point, folding trades on the same UTC day into one entry
+function recordTimelinePoint(timeline, blockTimestamp, point) {
+  const date = typeof blockTimestamp === "string" ? blockTimestamp.slice(0, 10) : null;
+  if (!date) return;
+  const last = timeline[timeline.length - 1];
+  if (last && last.date === date) {
+    Object.assign(last, point, { trades: last.trades + 1 });
+  } else {
+    timeline.push({ date, ...point, trades: 1 });
+  }
+}
+
+// Identity used to de-duplicate raw swaps when merging a refresh into cached history
+function getSwapItemKey(item) {
+  return [
+    item?.transactionHash,
+    item?.logIndex ?? item?.transactionIndex,
+    item?.pairAddress,
+    item?.bought?.amount,
+    item?.sold?.amount,
+  ].join(":");
+}
+
+function getTransferKey(transfer) {
+  return [transfer?.transactionHash, transfer?.logIndex, transfer?.tokenAddress, transfer?.from, transfer?.to].join(":");
+}
+
+// Cached raw histories per wallet+chain. The wallet history is fetched alongside swaps for its transfers
+// (to follow moved positions) and the gas paid on each swap.
+const HISTORY_SOURCES = {
+  swaps: { cache: createFileCache("swaps"), fetchMethod: "fetchSwaps", getItemKey: getSwapItemKey },
+  history: { cache: createFileCache("history"), fetchMethod: "fetchHistory", getItemKey: (tx) => tx?.transactionHash },
+};
+
+function getLatestTimestamp(items) {
+  let latest = null;
+  for (const item of items) {
+    const ts = typeof item?.blockTimestamp === "string" ? item.blockTimestamp : null;
+    if (ts && (!latest || ts > latest)) latest = ts;
+  }
+  return latest;
+}
+
+// Serves a chain's raw swap or transfer history from cache, fetching only items newer than the last
+// cached one once stale
+async function loadChainHistory(provider, address, chain, { source, limit, errors, cacheStats, deadline, onPage }) {
+  const { cache, fetchMethod, getItemKey } = HISTORY_SOURCES[source];
+  const stats = cacheStats[source];
+  const key = `${provider.name}:${normalizeAddress(chain, address)}:${chain}`;
+  const fetchItems = async (fromDate) => {
+    const fetched = await provider[fetchMethod](address, chain, { limit, fromDate, deadline, onPage });
+    if (fetched.error) errors.push({ address, chain, source, ...fetched.error });
+    return fetched;
+  };
+
+  const cached = await cache.get(key);
+  const cachedItems = Array.isArray(cached?.value?.items) ? cached.value.items : null;
+
+  if (cachedItems && isFresh(cached, readTtlMs("SWAPS_CACHE_TTL_SECONDS", 600))) {
+    stats.hits += 1;
+    return { items: cachedItems, pages: 0, lastStatus: 200 };
+  }
+
+  if (!cachedItems) {
+    stats.misses += 1;
+    const fetched = await fetchItems(null);
+    if (fetched.complete) await cache.set(key, { items: fetched.items });
+    return fetched;
+  }
+
+  stats.refreshes += 1;
+  const fromDate = getLatestTimestamp(cachedItems);
+  const fetched = await fetchItems(fromDate);
+  const seen = new Set(cachedItems.map(getItemKey));
+  const fresh = fetched.items.filter((item) => !seen.has(getItemKey(item)));
+  const items = cachedItems.concat(fresh);
+  if (fetched.complete) await cache.set(key, { items });
+  return { items, pages: fetched.pages, lastStatus: fetched.lastStatus };
+}
+
+// Keeps only transfers that move a position the user still owns: to or from another declared wallet,
+// into / out of a known bridge, or a canonical L2 deposit. Anything else (payments, airdrops, DEX legs)
+// is left to the swap history.
+function classifyTransfer(transfer, { chain, wallet, ownWallets }) {
+  const self = normalizeAddress(chain, wallet);
+  const deposit = getCanonicalDepositName(chain, transfer, self);
+  let direction = null;
+  let counterparty = null;
+  if (deposit) {
+    direction = "in";
+    counterparty = transfer.from;
+  } else if (transfer.from === self) {
+    direction = "out";
+    counterparty = transfer.to;
+  } else if (transfer.to === self) {
+    direction = "in";
+    counterparty = transfer.from;
+  }
+  if (!direction || (counterparty === self && !deposit)) return null;
+
+  const bridge = deposit || getBridgeName(chain, counterparty);
+  const via = ownWallets.has(counterparty) && !deposit ? "wallet" : bridge ? "bridge" : null;
+  if (!via) return null;
+  return {
+    kind: "transfer",
+    via,
+    bridge,
+    canonicalDeposit: Boolean(deposit),
+    direction,
+    chain,
+    wallet,
+    counterparty,
+    transactionHash: transfer.transactionHash,
+    logIndex: transfer.logIndex,
+    blockTimestamp: transfer.blockTimestamp,
+    tokenAddress: transfer.tokenAddress,
+    symbol: transfer.symbol,
+    amount: transfer.amount,
+  };
+}
+
+// Returns { items, error } with price items for the given tokens, only requesting those without a
+// fresh cached price. Cached prices are still returned when the lookup fails.
+async function loadTokenPrices(provider, chain, tokens, { cacheStats, deadline }) {
+  const ttlMs = readTtlMs("PRICES_CACHE_TTL_SECONDS", 300);
+  const priceItems = [];
+  const missing = [];
+  for (const token of tokens) {
+    const cached = await priceCache.get(`${provider.name}:${chain}:${normalizeAddress(chain, token.token_address)}`);
+    if (cached && isFresh(cached, ttlMs)) {
+      cacheStats.prices.hits += 1;
+      priceItems.push(cached.value);
+    } else {
+      cacheStats.prices.misses += 1;
+      missing.push(token);
+    }
+  }
+  if (!missing.length) return { items: priceItems, error: null };
+
+  const fetched = await provider.fetchPrices(chain, missing, { deadline });
+  for (const item of fetched.items) {
+    await priceCache.set(`${provider.name}:${chain}:${normalizeAddress(chain, item.tokenAddress)}`, item);
+    priceItems.push(item);
+  }
+  return { items: priceItems, error: fetched.error };
+}
+
+function describeError({ status, details }) {
+  if (typeof details?.message === "string") return details.message;
+  if (typeof details?.error === "string") return details.error;
+  return status ? `Data provider responded with status ${status}` : "Request failed";
+}
+
+// Per wallet+chain fetch outcome: "ok", "partial" (some swaps loaded before an error) or "failed"
+function buildChainDiagnostics(tasks, resultsByTask, errors) {
+  return tasks.map(({ key, address, chain }) => {
+    const result = resultsByTask[key];
+    const chainErrors = errors.filter((e) => e.chain === chain && e.address === address);
+    const count = result?.count || 0;
+    let status = "ok";
+    if (chainErrors.length) status = count > 0 ? "partial" : "failed";
+    return {
+      address,
+      chain,
+      status,
+      swaps: count,
+      pages: result?.pages || 0,
+      lastStatus: result?.lastStatus ?? null,
+      errors: chainErrors.map((e) => ({ source: e.source, status: e.status, message: describeError(e) })),
+    };
+  });
+}
+
+// Runs the whole scan for one request body; `onProgress` receives progress events as the scan advances.
+// Returns { status, payload }: the response body, or `{ error }` with a 4xx/5xx status.
+export async function analyzeSwaps(body, onProgress) {
+  const inputs = parseAddresses(body);
+  const inputChains = Array.isArray(body.chains) ? body.chains : undefined;
+  const requestedChains = (inputChains || DEFAULT_CHAIN_IDS).map((c) => (typeof c === "string" ? c.trim() : ""));
+  const chains = [...new Set(requestedChains)];
+  const unsupportedChains = chains.filter((c) => !getChain(c));
+  const limit = Number.isFinite(body?.limit)
+    ? Math.max(1, Math.min(100, Math.trunc(body.limit)))
+    : 100;
+  const costBasisMethod = normalizeCostBasisMethod(body?.costBasisMethod);
+  const unmatchedSellTreatment = normalizeUnmatchedSellTreatment(body?.unmatchedSellTreatment);
+  const manualCosts = normalizeManualCosts(body?.unmatchedSellCosts);
+  const includeHistory = body?.includeHistory !== false;
+  const mergeCanonicalAssets = body?.mergeCanonicalAssets !== false;
+  const tokenFilters = {
+    allowList: normalizeTokenList(body?.tokenAllowList),
+    denyList: normalizeTokenList(body?.tokenDenyList),
+    // 0 turns the liquidity check off
+    minLiquidityUsd: readNonNegativeNumber("SPAM_MIN_LIQUIDITY_USD", DEFAULT_MIN_LIQUIDITY_USD),
+    maxPriceMove: readPositiveInt("SPAM_MAX_PRICE_MOVE", DEFAULT_MAX_PRICE_MOVE),
+  };
+  const fromMs = parseTimestamp(body?.from);
+  const toMs = parseTimestamp(body?.to);
+
+  const provider = getDataProvider();
+  if (provider.configError) {
+    return {
+      status: 500,
+      payload: { error: provider.configError },
+    };
+  }
+
+  if (!inputs.length || !inputs.every(isWalletInput)) {
+    return {
+      status: 400,
+      payload: { error: "Invalid or missing EVM or Solana address or ENS name" },
+    };
+  }
+
+  if (inputs.length > MAX_WALLETS) {
+    return {
+      status: 400,
+      payload: { error: `Too many wallets: at most ${MAX_WALLETS} addresses per request` },
+    };
+  }
+
+  if (!chains.length || unsupportedChains.length) {
+    return {
+      status: 400,
+      payload: {
+        error: chains.length
+          ? `Unsupported chains: ${unsupportedChains.join(", ") || "(blank)"}`
+          : "Select at least one chain",
+      },
+    };
+  }
+
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs) || (fromMs !== null && toMs !== null && fromMs > toMs)) {
+    return {
+      status: 400,
+      payload: { error: "Invalid date range: from/to must be ISO dates or timestamps with from <= to" },
+    };
+  }
+
+  // Stay under serverless function limits; whatever is not fetched by then is reported in `errors`
+  const deadline = createDeadline(readPositiveInt("SWAPS_DEADLINE_MS", 25000));
+  const { addresses, names, unresolved } = await resolveWalletInputs(inputs, getNameResolver(), { deadline });
+  if (unresolved.length) {
+    const failed = unresolved.find((u) => u.error);
+    return {
+      status: failed ? 502 : 400,
+      payload: {
+        error: failed
+          ? `Could not resolve ${failed.name}: ${failed.error}`
+          : `No address found for ${unresolved.map((u) => u.name).join(", ")}`,
+      },
+    };
+  }
+
+  // Each wallet is scanned on the selected chains of its address family (EVM or Solana)
+  const chainsByAddress = addresses.map((address) =>
+    chains.filter((chain) => getChain(chain).family === getAddressFamily(address))
+  );
+  const unscannable = addresses.filter((address, i) => !chainsByAddress[i].length);
+  if (unscannable.length) {
+    return {
+      status: 400,
+      payload: { error: `None of the selected chains can scan ${unscannable.join(", ")}` },
+    };
+  }
+  const tasks = addresses.flatMap((address, i) =>
+    chainsByAddress[i].map((chain) => ({ key: `${normalizeAddress(chain, address)}:${chain}`, address, chain }))
+  );
+  const scannedChains = chains.filter((chain) => tasks.some((t) => t.chain === chain));
+  const resultsByTask = {};
+  const errors = [];
+  const cacheStats = {
+    swaps: { hits: 0, refreshes: 0, misses: 0 },
+    history: { hits: 0, refreshes: 0, misses: 0 },
+    prices: { hits: 0, misses: 0 },
+    historicalPrices: { hits: 0, misses: 0 },
+  };
+  const concurrency = readPositiveInt("MORALIS_CONCURRENCY", 3);
+  const ownWallets = new Set(addresses.map(normalizeWalletAddress));
+  const fetchHistory = includeHistory && typeof provider.fetchHistory === "function";
+
+  onProgress({
+    type: "scan:start",
+    addresses,
+    chains: scannedChains,
+    tasks: tasks.map(({ address, chain }) => ({ address, chain })),
+  });
+  let swapsSoFar = 0;
+  await mapWithConcurrency(tasks, concurrency, async ({ key, address, chain }) => {
+    onProgress({ type: "chain:start", address, chain });
+    const { items: combined, pages: pageCount, lastStatus } = await loadChainHistory(provider, address, chain, {
+      source: "swaps",
+      limit,
+      errors,
+      cacheStats,
+      deadline,
+      onPage: (page, swaps) => onProgress({ type: "chain:page", address, chain, page, swaps }),
+    });
+    const history = fetchHistory
+      ? await loadChainHistory(provider, address, chain, {
+          source: "history",
+          limit,
+          errors,
+          cacheStats,
+          deadline,
+          onPage: () => {},
+        })
+      : { items: [] };
+    swapsSoFar += combined.length;
+    onProgress({
+      type: "chain:done",
+      address,
+      chain,
+      swaps: combined.length,
+      pages: pageCount,
+      failed: errors.some((e) => e.chain === chain && e.address === address),
+      totalSwaps: swapsSoFar,
+    });
+
+    const simplified = combined.map((rawItem) => {
+      const base = simplifySwapItem(rawItem);
+      const boughtAddress =
+        typeof rawItem?.bought?.address === "string" ? rawItem.bought.address : null;
+      const soldAddress =
+        typeof rawItem?.sold?.address === "string" ? rawItem.sold.address : null;
+      return {
+        ...base,
+        chain,
+        wallet: address,
+        boughtAddress,
+        soldAddress,
+      };
+    });
+    const movements = history.items
+      .flatMap((tx) => tx.transfers || [])
+      .map((transfer) => classifyTransfer(transfer, { chain, wallet: address, ownWallets }))
+      .filter(Boolean);
+    // Gas this wallet paid to send its own swaps; swaps relayed by someone else cost it nothing
+    const swapHashes = new Set(simplified.map((item) => item.transactionHash).filter(Boolean));
+    const fees = history.items
+      .filter((tx) => swapHashes.has(tx.transactionHash) && tx.from === normalizeAddress(chain, address) && tx.feeNative > 0)
+      .map((tx) => ({ chain, wallet: address, blockTimestamp: tx.blockTimestamp, feeNative: tx.feeNative }));
+    resultsByTask[key] = {
+      items: simplified,
+      movements,
+      fees,
+      count: simplified.length,
+      pages: pageCount,
+      lastStatus,
+    };
+  });
+
+  // Flatten and sort by blockTimestamp (oldest first)
+  // Wallets share one replay, so a buy in one wallet can be matched by a sell in another
+  const movements = tasks.flatMap((t) => resultsByTask[t.key]?.movements || []);
+  const combined = tasks
+    .flatMap((t) => (resultsByTask[t.key]?.items || []))
+    .concat(movements)
+    .slice()
+    .sort((a, b) => {
+      const ta = typeof a.blockTimestamp === "string" ? a.blockTimestamp : "";
+      const tb = typeof b.blockTimestamp === "string" ? b.blockTimestamp : "";
+      return ta.localeCompare(tb);
+    });
+
+  // Value both legs of every swap the replay will see, backfilling historical prices where needed
+  const swaps = combined.filter((item) => {
+    if (item.kind === "transfer") return false;
+    const timestampMs = typeof item.blockTimestamp === "string" ? Date.parse(item.blockTimestamp) : Number.NaN;
+    return toMs === null || !(timestampMs > toMs);
+  });
+  for (const item of swaps) item.legs = getSwapLegs(item);
+  if (swaps.some((item) => item.legs.some((leg) => leg.usdAmount === null))) {
+    onProgress({ type: "backfill:start" });
+    await backfillHistoricalPrices(provider, swaps, { cacheStats, deadline, concurrency });
+  }
+
+  // Compute holdings and PNL from oldest to newest. Positions are keyed by token (chain + contract, or a
+  // canonical asset), so tickers never merge unrelated tokens
+  const holdings = Object.create(null); // tokenKey -> quantity held across wallets and chains
+  const holdingsByLocation = Object.create(null); // `${chain}:${address}` -> quantity held on that chain
+  const tokenMeta = Object.create(null); // tokenKey -> { symbol, logo, locations }
+  const lotBookByToken = Object.create(null); // tokenKey -> open lots for the selected cost basis method
+  const statsByToken = Object.create(null); // tokenKey -> per-token trade totals
+  const statsByWallet = Object.create(null); // wallet -> per-wallet trade totals
+  const inTransit = Object.create(null); // symbol -> tokens bridged out, not yet landed, with their lots if any
+  let realizedPnlUsd = 0;
+  let pnl = 0;
+  let minPnlDuringCalc = 0;
+  let openCostUsd = 0; // cost basis of all open lots
+  const unmatchedSells = []; // in-window sells (or parts of them) with no open lots to match
+  const nativePricePoints = []; // native coin prices implied by swaps, used to value gas
+  const trades = []; // in-window swap legs with their USD value and how it was obtained
+  const lastTradePriceByToken = Object.create(null); // tokenKey -> USD unit price of the latest valued trade
+  const timeline = []; // daily cumulative realized PnL, invested capital and open cost basis
+
+  // Swaps before `from` only seed opening positions; swaps after `to` are ignored
+  const hasWindow = fromMs !== null || toMs !== null;
+  for (const item of combined) {
+    const timestampMs = typeof item?.blockTimestamp === "string" ? Date.parse(item.blockTimestamp) : Number.NaN;
+    if (toMs !== null && timestampMs > toMs) break;
+    const inWindow = !hasWindow || (Number.isFinite(timestampMs) && (fromMs === null || timestampMs >= fromMs));
+
+    // Lots are shared by every declared wallet, so moving tokens between them never touches cost basis.
+    // A bridge changes the chain the tokens sit on: what leaves a chain is in transit until it lands.
+    // Unless both sides are the same canonical asset, the lots travel with it into the destination
+    // chain's position. Lots in transit stay in `openCostUsd`, as they are still owned.
+    if (item.kind === "transfer") {
+      if (item.via !== "bridge") continue;
+      const location = getTokenLocation(item.chain, item.tokenAddress);
+      const tokenKey = getTokenKey(item.chain, item.tokenAddress, { canonical: mergeCanonicalAssets });
+      const transitSymbol = getKnownSymbol(tokenKey) || item.symbol;
+      if (!location || !tokenKey || !transitSymbol) continue;
+      const locationKey = `${location.chain}:${location.address}`;
+      const current = holdingsByLocation[locationKey] || 0;
+      if (!inTransit[transitSymbol]) inTransit[transitSymbol] = [];
+      const queue = inTransit[transitSymbol];
+
+      if (item.direction === "out") {
+        const carriesLots = !tokenKey.startsWith("asset:");
+        const moved = Math.min(carriesLots ? holdings[tokenKey] || 0 : current, item.amount);
+        holdingsByLocation[locationKey] = Math.max(0, current - item.amount);
+        if (moved <= 0) continue;
+        let costUsd = null; // null: only the location moves, the position stays the same
+        if (carriesLots) {
+          costUsd = lotBookByToken[tokenKey].remove(moved).costUsd;
+          holdings[tokenKey] -= moved;
+        }
+        queue.push({
+          tokenKey,
+          locationKey,
+          chain: item.chain,
+          transactionHash: item.transactionHash,
+          blockTimestamp: item.blockTimestamp,
+          quantity: moved,
+          costUsd,
+        });
+        continue;
+      }
+
+      // Land as much as is in transit. Location-only entries can only land in the same position
+      let landed = 0;
+      let landedCostUsd = 0;
+      let landedLots = 0;
+      for (let i = 0; i < queue.length && landed < item.amount; ) {
+        const entry = queue[i];
+        if (entry.costUsd === null && entry.tokenKey !== tokenKey) {
+          i += 1;
+          continue;
+        }
+        const take = Math.min(entry.quantity, item.amount - landed);
+        if (entry.costUsd !== null) {
+          const cost = entry.costUsd * (take / entry.quantity);
+          landedCostUsd += cost;
+          landedLots += take;
+          entry.costUsd -= cost;
+        }
+        landed += take;
+        entry.quantity -= take;
+        if (entry.quantity <= 1e-12) queue.splice(i, 1);
+      }
+      // The rest arrived from outside the replay with no cost basis. Only a bridge contract vouches that it
+      // was bridged at all, so it is counted where a position merges chains; a mint or credit is ignored
+      const credited = !item.canonicalDeposit && tokenKey.startsWith("asset:") ? item.amount - landed : 0;
+      item.landed = landed;
+      if (landed + credited <= 0) continue;
+      holdingsByLocation[locationKey] = current + landed + credited;
+      if (landedLots > 0) {
+        holdings[tokenKey] = (holdings[tokenKey] || 0) + landedLots;
+        if (!lotBookByToken[tokenKey]) lotBookByToken[tokenKey] = createLotBook(costBasisMethod);
+        lotBookByToken[tokenKey].add(landedLots, landedCostUsd, item.blockTimestamp);
+      }
+      rememberToken(tokenMeta, tokenKey, location, { symbol: item.symbol });
+      continue;
+    }
+
+    // A swap is a disposal of the sold leg followed by an acquisition of the bought leg
+    let applied = false;
+    for (const leg of item.legs) {
+      const location = getTokenLocation(item.chain, leg.address);
+      const tokenKey = getTokenKey(item.chain, leg.address, { canonical: mergeCanonicalAssets });
+      if (!location || !tokenKey) continue;
+      const locationKey = `${location.chain}:${location.address}`;
+      const meta = rememberToken(tokenMeta, tokenKey, location, {
+        symbol: leg.symbol,
+        logo: leg.logo,
+        pairLabel: item.pairLabel,
+      });
+      const { quantity, usdAmount } = leg;
+      if (!Number.isFinite(quantity) || quantity <= 0) continue;
+      if (inWindow) {
+        trades.push({
+          transactionHash: item.transactionHash,
+          blockTimestamp: item.blockTimestamp,
+          chain: item.chain,
+          wallet: item.wallet,
+          side: leg.side,
+          tokenKey,
+          symbol: meta.symbol,
+          quantity,
+          usdAmount,
+          valuationSource: leg.valuationSource,
+        });
+      }
+      // Trades no source could value stay out of PnL; `trades` and diagnostics report them
+      if (!Number.isFinite(usdAmount) || usdAmount <= 0) continue;
+      lastTradePriceByToken[tokenKey] = usdAmount / quantity;
+      if (location.address === NATIVE_TOKEN_ADDRESS) {
+        nativePricePoints.push({ symbol: NATIVE_SYMBOLS[location.chain], timestampMs, usdPrice: usdAmount / quantity });
+      }
+
+      if (leg.side === "buy") {
+        holdings[tokenKey] = (holdings[tokenKey] || 0) + quantity;
+        holdingsByLocation[locationKey] = (holdingsByLocation[locationKey] || 0) + quantity;
+        if (!lotBookByToken[tokenKey]) lotBookByToken[tokenKey] = createLotBook(costBasisMethod);
+        lotBookByToken[tokenKey].add(quantity, usdAmount, item?.blockTimestamp ?? null);
+        openCostUsd += usdAmount;
+        applied = true;
+        if (inWindow) {
+          pnl -= usdAmount;
+          if (pnl < minPnlDuringCalc) minPnlDuringCalc = pnl;
+          const stats = getPositionStats(statsByToken, tokenKey);
+          stats.buys += 1;
+          stats.quantityBought += quantity;
+          stats.boughtUsd += usdAmount;
+          const walletStats = getWalletStats(statsByWallet, item.wallet);
+          walletStats.buys += 1;
+          walletStats.boughtUsd += usdAmount;
+          walletStats.cashFlowUsd -= usdAmount;
+          walletStats.minCashFlowUsd = Math.min(walletStats.minCashFlowUsd, walletStats.cashFlowUsd);
+        }
+        continue;
+      }
+
+      const available = holdings[tokenKey] || 0;
+      const matchedQuantity = Math.min(available, quantity);
+      let soldQuantity = matchedQuantity;
+      let proceedsUsd = usdAmount * (matchedQuantity / quantity);
+      let realizedDeltaUsd = 0;
+      // Match the sale against open lots using the selected cost basis method
+      const book = lotBookByToken[tokenKey];
+      if (book && matchedQuantity > 0) {
+        const { costUsd: realizedCostUsd } = book.remove(matchedQuantity);
+        openCostUsd = Math.max(0, openCostUsd - realizedCostUsd);
+        if (realizedCostUsd > 0) realizedDeltaUsd += proceedsUsd - realizedCostUsd;
+      }
+
+      // Whatever was sold beyond the tracked holdings has an unknown cost basis
+      const unmatchedQuantity = quantity - matchedQuantity;
+      if (unmatchedQuantity > 0 && inWindow) {
+        const unmatchedUsd = usdAmount * (unmatchedQuantity / quantity);
+        let assumedCostUsd = null; // null: left out of PnL
+        if (unmatchedSellTreatment === "zero") assumedCostUsd = 0;
+        if (unmatchedSellTreatment === "manual" && tokenKey in manualCosts) {
+          assumedCostUsd = manualCosts[tokenKey] * unmatchedQuantity;
+        }
+        unmatchedSells.push({
+          tokenKey,
+          symbol: meta.symbol,
+          chain: item.chain,
+          wallet: item.wallet,
+          transactionHash: item.transactionHash,
+          blockTimestamp: item.blockTimestamp,
+          quantity: unmatchedQuantity,
+          usdAmount: unmatchedUsd,
+          costUsd: assumedCostUsd,
+        });
+        if (assumedCostUsd !== null) {
+          soldQuantity += unmatchedQuantity;
+          proceedsUsd += unmatchedUsd;
+          realizedDeltaUsd += unmatchedUsd - assumedCostUsd;
+        }
+      }
+      if (soldQuantity <= 0) continue;
+
+      holdings[tokenKey] = available - matchedQuantity;
+      const current = holdingsByLocation[locationKey] || 0;
+      holdingsByLocation[locationKey] = Math.max(0, current - Math.min(current, matchedQuantity));
+      applied = true;
+      if (inWindow) {
+        realizedPnlUsd += realizedDeltaUsd;
+        const stats = getPositionStats(statsByToken, tokenKey);
+        stats.realizedPnlUsd += realizedDeltaUsd;
+        stats.sells += 1;
+        stats.quantitySold += soldQuantity;
+        stats.soldUsd += proceedsUsd;
+        pnl += proceedsUsd;
+        // Attributed to the wallet that sold, whichever wallet bought the lots
+        const walletStats = getWalletStats(statsByWallet, item.wallet);
+        walletStats.realizedPnlUsd += realizedDeltaUsd;
+        walletStats.sells += 1;
+        walletStats.soldUsd += proceedsUsd;
+        walletStats.cashFlowUsd += proceedsUsd;
+      }
+    }
+    if (!applied) continue;
+
+    if (inWindow) {
+      getWalletStats(statsByWallet, item.wallet).swaps += 1;
+      recordTimelinePoint(timeline, item?.blockTimestamp, {
+        realizedPnlUsd,
+        investedUsd: Math.abs(minPnlDuringCalc),
+        openCostUsd,
+      });
+    }
+  }
+
+  // Bridged out but never seen landing: the destination chain was not scanned, or a relayer we do not know
+  // delivered it. They are only reported. Putting them back on the source chain would count them twice
+  // when they are sold on the destination chain (once as a holding, once as an unmatched sell)
+  const unlandedTransfers = [];
+  for (const [symbol, queue] of Object.entries(inTransit)) {
+    for (const entry of queue) {
+      unlandedTransfers.push({
+        symbol,
+        tokenKey: entry.tokenKey,
+        chain: entry.chain,
+        transactionHash: entry.transactionHash,
+        blockTimestamp: entry.blockTimestamp,
+        quantity: entry.quantity,
+        costUsd: entry.costUsd,
+      });
+    }
+  }
+
+  // Price every chain an open position sits on; native coins are priced through their wrapped token
+  const openTokenKeys = Object.keys(holdings).filter(
+    (key) => Number.isFinite(holdings[key]) && holdings[key] > DUST_QUANTITY
+  );
+  const locationsByToken = Object.create(null); // tokenKey -> [{ chain, address, priceAddress, amount }]
+  const tokensByChain = Object.create(null); // chain -> Set of contract addresses to price
+  for (const tokenKey of openTokenKeys) {
+    const locations = [...tokenMeta[tokenKey].locations]
+      .map((locationKey) => {
+        const [chain, address] = locationKey.split(":");
+        return { chain, address, priceAddress: getPriceAddress(chain, address), amount: holdingsByLocation[locationKey] || 0 };
+      })
+      .filter((l) => l.priceAddress);
+    locationsByToken[tokenKey] = locations;
+    for (const l of locations) {
+      if (!tokensByChain[l.chain]) tokensByChain[l.chain] = new Set();
+      tokensByChain[l.chain].add(l.priceAddress);
+    }
+  }
+
+  // Gas paid on swaps inside the window. Chains whose native coin was never swapped also need today's price
+  const windowFees = tasks
+    .flatMap((t) => resultsByTask[t.key]?.fees || [])
+    .filter((fee) => {
+      if (!hasWindow) return true;
+      const ms = Date.parse(fee.blockTimestamp);
+      return Number.isFinite(ms) && (fromMs === null || ms >= fromMs) && (toMs === null || ms <= toMs);
+    });
+  for (const fee of windowFees) {
+    const priceAddress = getPriceAddress(fee.chain, NATIVE_TOKEN_ADDRESS);
+    if (!priceAddress || nativePricePoints.some((p) => p.symbol === NATIVE_SYMBOLS[fee.chain])) continue;
+    if (!tokensByChain[fee.chain]) tokensByChain[fee.chain] = new Set();
+    tokensByChain[fee.chain].add(priceAddress);
+  }
+
+  // Fetch prices per chain
+  onProgress({ type: "pricing:start", tokens: openTokenKeys.length });
+  const priceByLocation = Object.create(null); // `${chain}:${priceAddress}` -> usd price
+  const priceItemByLocation = Object.create(null); // `${chain}:${priceAddress}` -> provider price item
+  const priceErrorByChain = Object.create(null); // chain -> why the price lookup failed
+  await mapWithConcurrency(Object.keys(tokensByChain), concurrency, async (chain) => {
+    try {
+      const tokens = [...tokensByChain[chain]].map((address) => ({ token_address: address }));
+      const { items: priceItems, error: priceError } = await loadTokenPrices(provider, chain, tokens, {
+        cacheStats,
+        deadline,
+      });
+      if (priceError) priceErrorByChain[chain] = priceError;
+      for (const p of priceItems) {
+        const address = normalizeAddress(chain, p?.tokenAddress);
+        const usdPrice = Number(p?.usdPrice);
+        if (!address || !Number.isFinite(usdPrice)) continue;
+        priceByLocation[`${chain}:${address}`] = usdPrice;
+        priceItemByLocation[`${chain}:${address}`] = p;
+      }
+    } catch (err) {
+      priceErrorByChain[chain] = "Unexpected pricing error";
+    }
+  });
+
+  // A position held on several chains is valued at the price of each chain, weighted by what sits there.
+  // Positions failing the spam filters (or on the deny list) are valued at zero and reported instead.
+  let holdingsValueUsd = 0;
+  const priceByToken = Object.create(null); // tokenKey -> { usdPrice, valueUsd, excluded }
+  const excludedTokens = [];
+  for (const tokenKey of openTokenKeys) {
+    const priced = locationsByToken[tokenKey].filter((l) => `${l.chain}:${l.priceAddress}` in priceByLocation);
+    const weight = priced.reduce((sum, l) => sum + l.amount, 0);
+    let usdPrice = null;
+    if (priced.length) {
+      usdPrice = weight > 0
+        ? priced.reduce((sum, l) => sum + l.amount * priceByLocation[`${l.chain}:${l.priceAddress}`], 0) / weight
+        : priceByLocation[`${priced[0].chain}:${priced[0].priceAddress}`];
+    }
+    const exclusion = getTokenExclusion(
+      tokenKey,
+      {
+        prices: priced.map((l) => priceItemByLocation[`${l.chain}:${l.priceAddress}`]),
+        usdPrice,
+        referencePriceUsd: lastTradePriceByToken[tokenKey] ?? null,
+      },
+      tokenFilters
+    );
+    if (exclusion) {
+      excludedTokens.push({
+        tokenKey,
+        symbol: tokenMeta[tokenKey].symbol,
+        chains: locationsByToken[tokenKey].map((l) => l.chain),
+        amount: holdings[tokenKey],
+        usdPrice,
+        reportedValueUsd: usdPrice !== null ? holdings[tokenKey] * usdPrice : null,
+        ...exclusion,
+      });
+      priceByToken[tokenKey] = { usdPrice, valueUsd: 0, excluded: exclusion.reason };
+      continue;
+    }
+    if (usdPrice === null) continue;
+    const valueUsd = holdings[tokenKey] * usdPrice;
+    holdingsValueUsd += valueUsd;
+    priceByToken[tokenKey] = { usdPrice, valueUsd, excluded: null };
+  }
+
+  // Gas is valued at the native coin's price implied by the nearest swap of it, else at today's price
+  let feesUsd = 0;
+  const fees = { transactions: windowFees.length, nativeBySymbol: {}, valuedAtCurrentPrice: 0, unvalued: 0 };
+  for (const fee of windowFees) {
+    const symbol = NATIVE_SYMBOLS[fee.chain];
+    if (!symbol) continue;
+    fees.nativeBySymbol[symbol] = (fees.nativeBySymbol[symbol] || 0) + fee.feeNative;
+    let usdPrice = getNearestNativePrice(nativePricePoints, symbol, Date.parse(fee.blockTimestamp));
+    if (usdPrice === null) {
+      usdPrice = priceByLocation[`${fee.chain}:${getPriceAddress(fee.chain, NATIVE_TOKEN_ADDRESS)}`] ?? null;
+      if (usdPrice === null) {
+        fees.unvalued += 1;
+        continue;
+      }
+      fees.valuedAtCurrentPrice += 1;
+    }
+    feesUsd += fee.feeNative * usdPrice;
+    getWalletStats(statsByWallet, fee.wallet).feesUsd += fee.feeNative * usdPrice;
+  }
+
+  // Open positions we could not value; their unrealized PnL is missing from the totals
+  const unpricedTokens = openTokenKeys
+    .filter((tokenKey) => !priceByToken[tokenKey])
+    .map((tokenKey) => {
+      const chains = locationsByToken[tokenKey].map((l) => l.chain);
+      const reason = chains.map((chain) => priceErrorByChain[chain]).find(Boolean);
+      return {
+        tokenKey,
+        symbol: tokenMeta[tokenKey].symbol,
+        chains,
+        amount: holdings[tokenKey],
+        reason: reason || "No price available",
+      };
+    });
+  const wallets = addresses.map((address) => {
+    const stats = getWalletStats(statsByWallet, address);
+    return {
+      address,
+      swaps: stats.swaps,
+      buys: stats.buys,
+      sells: stats.sells,
+      boughtUsd: stats.boughtUsd,
+      soldUsd: stats.soldUsd,
+      realizedPnlUsd: stats.realizedPnlUsd,
+      investedUsd: Math.abs(stats.minCashFlowUsd),
+      feesUsd: stats.feesUsd,
+    };
+  });
+
+  // A wallet-to-wallet transfer shows up in both wallets' histories; count it once
+  const transferSummary = { walletToWallet: 0, bridgedOut: 0, bridgedIn: 0, unlanded: unlandedTransfers };
+  const seenTransfers = new Set();
+  for (const movement of movements) {
+    const key = getTransferKey({ ...movement, from: null, to: null });
+    if (seenTransfers.has(key)) continue;
+    seenTransfers.add(key);
+    if (movement.via === "wallet") transferSummary.walletToWallet += 1;
+    else if (movement.direction === "out") transferSummary.bridgedOut += 1;
+    else if (!movement.canonicalDeposit || movement.landed > 0) transferSummary.bridgedIn += 1;
+  }
+
+  const chainDiagnostics = buildChainDiagnostics(tasks, resultsByTask, errors);
+  // How the in-window trades were valued; unvalued ones are missing from PnL
+  const valuationSources = { swap: 0, counterLeg: 0, historical: 0, unvalued: 0 };
+  for (const trade of trades) valuationSources[trade.valuationSource || "unvalued"] += 1;
+  const diagnostics = {
+    partial:
+      chainDiagnostics.some((c) => c.status !== "ok") || unpricedTokens.length > 0 || valuationSources.unvalued > 0,
+    chains: chainDiagnostics,
+    unpricedTokens,
+    valuationSources,
+  };
+  // Filter holdings to exclude zeros
+  const filteredHoldings = Object.create(null);
+  for (const tokenKey of openTokenKeys) filteredHoldings[tokenKey] = holdings[tokenKey];
+
+  // Compute unrealized PnL = current total value - remaining cost basis across open positions.
+  // A window that has already ended only counts what was realized inside it: its closing positions would be
+  // valued at today's prices, and lots opened before `from` would bring in gains made before the window
+  const includesUnrealized = toMs === null || toMs >= Date.now();
+  let remainingCostUsdTotal = 0;
+  for (const tokenKey of openTokenKeys) {
+    const remainingCost = Number(lotBookByToken[tokenKey]?.costUsd) || 0;
+    remainingCostUsdTotal += remainingCost;
+  }
+  const unrealizedPnlUsd = includesUnrealized ? holdingsValueUsd - remainingCostUsdTotal : 0;
+
+  // Per-token breakdown, best performer first. Opening positions without trades in the window are included too
+  for (const tokenKey of openTokenKeys) getPositionStats(statsByToken, tokenKey);
+  const positions = Object.values(statsByToken)
+    .map((stats) => {
+      const { tokenKey } = stats;
+      const meta = tokenMeta[tokenKey];
+      const quantity = filteredHoldings[tokenKey] || 0;
+      const remainingCostUsd = quantity > 0 ? Number(lotBookByToken[tokenKey]?.costUsd) || 0 : 0;
+      const price = quantity > 0 ? priceByToken[tokenKey] : null;
+      const currentValueUsd = price ? price.valueUsd : 0;
+      const positionUnrealizedUsd = quantity > 0 && includesUnrealized ? currentValueUsd - remainingCostUsd : 0;
+      return {
+        tokenKey,
+        symbol: meta.symbol,
+        logo: meta.logo,
+        chains: [...new Set([...meta.locations].map((locationKey) => locationKey.split(":")[0]))],
+        buys: stats.buys,
+        sells: stats.sells,
+        quantityBought: stats.quantityBought,
+        quantitySold: stats.quantitySold,
+        quantity,
+        averageEntryPriceUsd: stats.quantityBought > 0 ? stats.boughtUsd / stats.quantityBought : null,
+        realizedPnlUsd: stats.realizedPnlUsd,
+        remainingCostUsd,
+        currentPriceUsd: price ? price.usdPrice : null,
+        currentValueUsd,
+        excluded: price?.excluded ?? null,
+        unrealizedPnlUsd: positionUnrealizedUsd,
+        pnlUsd: stats.realizedPnlUsd + positionUnrealizedUsd,
+      };
+    })
+    .sort((a, b) => b.pnlUsd - a.pnlUsd);
+
+  // Total PnL
+  pnl = realizedPnlUsd + unrealizedPnlUsd;
+  const investedUsd = Math.abs(minPnlDuringCalc);
+
+  const payload = {
+    addresses,
+    names,
+    chains: scannedChains,
+    pnl,
+    costBasisMethod,
+    unmatchedSellTreatment,
+    unmatchedSellCosts: manualCosts,
+    period: {
+      from: fromMs !== null ? new Date(fromMs).toISOString() : null,
+      to: toMs !== null ? new Date(toMs).toISOString() : null,
+      includesUnrealized,
+    },
+    grossPnlUsd: pnl,
+    feesUsd,
+    netPnlUsd: pnl - feesUsd,
+    fees,
+    realizedPnlUsd,
+    unrealizedPnlUsd,
+    investedUsd,
+    holdings: filteredHoldings,
+    holdingsValueUsd,
+    positions,
+    timeline,
+    trades,
+    wallets,
+    unmatchedSells,
+    excludedTokens,
+    tokenFilters,
+    transfers: transferSummary,
+    cache: cacheStats,
+    diagnostics,
+  };
+  return { status: 200, payload };
+}
@@ -0,0 +1,58 @@
+import { NATIVE_TOKEN_ADDRESS } from "@/lib/tokens";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Bridge contracts whose transfers move a position between chains rather than dispose of it.
+// Addresses are lowercase; add entries here to recognise more bridges.
+export const KNOWN_BRIDGES = {
+  eth: {
+    "0x72ce9c846789fdb6fc1f34ac4ad25dd9ef7031ef": "Arbitrum Gateway Router",
+    "0xa3a7b6f88361f48403514059f1f16c8e78d60eec": "Arbitrum ERC20 Gateway",
+    "0x4dbd4fc535ac27206064b68ffcf827b0a60bab3f": "Arbitrum Delayed Inbox",
+    "0x99c9fc46f92e8a1c0dec1b1747d010903e884be1": "Optimism Standard Bridge",
+    "0xbeb5fc579115071764c7423a4f12edde41f106ed": "Optimism Portal",
+    "0x3154cf16ccdb4c6d922629664174b904d80f2c35": "Base Standard Bridge",
+    "0x49048044d57e1c92a77f79988d21fa8faf74e97e": "Base Portal",
+    "0xd19d4b5d358258f05d7b411e21a1460d11b0876f": "Linea Message Service",
+    "0x5c7bcd6e7de5423a257d81b442095a1a6ced35c5": "Across",
+  },
+  arbitrum: {
+    "0x5288c571fd7ad117bea99bf60fe0846c4e84f933": "Arbitrum Gateway Router",
+    "0xe35e9842fceaca96570b734083f4a58e8f7c5f2a": "Across",
+  },
+  optimism: {
+    "0x4200000000000000000000000000000000000010": "Optimism Standard Bridge",
+    "0x6f26bf09b1c792e3228e5467807a900a503c0281": "Across",
+  },
+  base: {
+    "0x4200000000000000000000000000000000000010": "Base Standard Bridge",
+    "0x09aea4b2242abc8bb4bb78d537a67a245a7bec64": "Across",
+  },
+  linea: {
+    "0x508ca82df566dcd1b0de8296e70a96332cd644ec": "Linea Message Service",
+    "0x7e63a5f1a8f0b4d0934b2f2327daed3f6bb2ee75": "Across",
+  },
+  bsc: {},
+};
+
+export function getBridgeName(chain, address) {
+  if (typeof address !== "string") return null;
+  return KNOWN_BRIDGES[chain]?.[address.toLowerCase()] || null;
+}
+
+// Canonical L1 → L2 deposits do not come from a bridge contract on the L2: bridged tokens are minted
+// (a transfer from the zero address) and ETH is credited by a deposit sent from the depositor's own
+// address. Either could also be something else, so they only land tokens bridged out earlier.
+export const CANONICAL_DEPOSITS = {
+  arbitrum: "Arbitrum Bridge",
+  optimism: "Optimism Standard Bridge",
+  base: "Base Standard Bridge",
+};
+
+// The canonical bridge an inbound transfer to `wallet` (normalized) was deposited through, or null
+export function getCanonicalDepositName(chain, transfer, wallet) {
+  const name = CANONICAL_DEPOSITS[chain];
+  if (!name || transfer.to !== wallet) return null;
+  if (transfer.from === ZERO_ADDRESS) return name;
+  return transfer.from === wallet && transfer.tokenAddress === NATIVE_TOKEN_ADDRESS ? name : null;
+}
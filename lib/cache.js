@@ -0,0 +1,58 @@
+import { createHash } from "crypto";
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+
+const DEFAULT_CACHE_DIR = path.join(tmpdir(), "sproutcard-cache");
+
+export function readTtlMs(envName, fallbackSeconds) {
+  const raw = process.env[envName];
+  const seconds = raw === undefined || raw === "" ? fallbackSeconds : Number(raw);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+export function isCacheEnabled() {
+  return process.env.CACHE_DISABLED !== "1";
+}
+
+// JSON-file cache: one file per key under `<CACHE_DIR>/<namespace>/`
+export function createFileCache(namespace) {
+  const dir = path.join(process.env.CACHE_DIR || DEFAULT_CACHE_DIR, namespace);
+
+  function fileFor(key) {
+    const hash = createHash("sha256").update(key).digest("hex");
+    return path.join(dir, `${hash}.json`);
+  }
+
+  // Returns { value, storedAt } or null when absent or unreadable
+  async function get(key) {
+    if (!isCacheEnabled()) return null;
+    try {
+      const raw = await readFile(fileFor(key), "utf8");
+      const entry = JSON.parse(raw);
+      if (!entry || entry.key !== key || !Number.isFinite(entry.storedAt)) return null;
+      return { value: entry.value, storedAt: entry.storedAt };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async function set(key, value) {
+    if (!isCacheEnabled()) return;
+    try {
+      await mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await writeFile(tmp, JSON.stringify({ key, storedAt: Date.now(), value }));
+      await rename(tmp, file);
+    } catch (err) {
+      // the cache is best effort; a failed write only costs a refetch later
+    }
+  }
+
+  return { get, set };
+}
+
+export function isFresh(entry, ttlMs) {
+  return Boolean(entry) && ttlMs > 0 && Date.now() - entry.storedAt < ttlMs;
+}
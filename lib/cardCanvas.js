@@ -0,0 +1,139 @@
+import { getChainLogoUrl } from "@/lib/chainLogos";
+import { fitCardFontSize, getBadgeFontSize, resolveCardColor } from "@/lib/cardTemplates";
+
+// Draws a card template (see lib/cardTemplates.js) on a 2D canvas context sized to the template.
+// `avatar` is a loaded image for the pill, or null; `chainLogos` maps chain ids to loaded logos (see
+// loadChainLogos).
+
+export const CARD_FONT_FAMILY = "Inter, system-ui, -apple-system, Segoe UI, Roboto";
+
+function setFont(ctx, weight, sizePx) {
+  ctx.font = `${weight} ${sizePx}px ${CARD_FONT_FAMILY}`;
+}
+
+// A `measure` for fitCardFontSize backed by the canvas, also used to size text in the SVG export
+export function createTextMeasure(ctx) {
+  return (text, weight, sizePx) => {
+    setFont(ctx, weight, sizePx);
+    return ctx.measureText(text).width;
+  };
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+  const rr = Math.min(r, h / 2, w / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + rr, y);
+  ctx.arcTo(x + w, y, x + w, y + h, rr);
+  ctx.arcTo(x + w, y + h, x, y + h, rr);
+  ctx.arcTo(x, y + h, x, y, rr);
+  ctx.arcTo(x, y, x + w, y, rr);
+  ctx.closePath();
+}
+
+const ELEMENT_DRAWERS = {
+  circle(ctx, el, { color }) {
+    ctx.globalAlpha *= el.opacity ?? 1;
+    ctx.fillStyle = color;
+    ctx.beginPath(); ctx.arc(el.x, el.y, el.radius, 0, Math.PI * 2); ctx.fill();
+  },
+
+  line(ctx, el, { color }) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = el.width;
+    ctx.beginPath(); ctx.moveTo(el.x1, el.y1); ctx.lineTo(el.x2, el.y2); ctx.stroke();
+  },
+
+  // Centred horizontally; the avatar sits inside the left end
+  pill(ctx, el, { color, template, card, avatar }) {
+    const text = String(card[el.field] ?? "");
+    const padX = Math.round(el.height * 0.375);
+    const avatarSize = el.height - 12;
+    const avatarGap = avatar ? avatarSize + 10 : 0;
+    setFont(ctx, el.weight, el.fontSize);
+    const w = ctx.measureText(text).width + padX * 2 + avatarGap;
+    const x = (template.width - w) / 2;
+    ctx.fillStyle = resolveCardColor(template, el.background, card);
+    roundRect(ctx, x, el.y, w, el.height, el.height / 2);
+    ctx.fill();
+    if (avatar) {
+      const ax = x + 6;
+      const ay = el.y + 6;
+      ctx.save();
+      ctx.beginPath(); ctx.arc(ax + avatarSize / 2, ay + avatarSize / 2, avatarSize / 2, 0, Math.PI * 2); ctx.clip();
+      ctx.drawImage(avatar, ax, ay, avatarSize, avatarSize);
+      ctx.restore();
+    }
+    ctx.fillStyle = color;
+    ctx.textBaseline = "middle";
+    ctx.fillText(text, x + padX + avatarGap, el.y + el.height / 2 + 1);
+  },
+
+  text(ctx, el, { color, card }) {
+    const text = String(card[el.field] ?? "");
+    const size = fitCardFontSize(el, text, createTextMeasure(ctx));
+    setFont(ctx, el.weight, size);
+    ctx.fillStyle = color;
+    ctx.textBaseline = "top";
+    ctx.textAlign = el.align === "center" ? "center" : "left";
+    ctx.fillText(text, el.align === "center" ? el.x + el.maxWidth / 2 : el.x, el.y);
+  },
+
+  // One round logo per scanned chain; its brand color and monogram until the logo has loaded
+  badges(ctx, el, { template, card, chainLogos }) {
+    let cx = el.x + el.radius;
+    const cy = el.y + el.radius;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for (const chain of card.chains) {
+      const logo = chainLogos[chain.id];
+      ctx.beginPath(); ctx.arc(cx, cy, el.radius, 0, Math.PI * 2);
+      if (logo) {
+        ctx.save();
+        ctx.clip();
+        ctx.drawImage(logo, cx - el.radius, cy - el.radius, el.radius * 2, el.radius * 2);
+        ctx.restore();
+      } else {
+        ctx.fillStyle = chain.color;
+        ctx.fill();
+        ctx.fillStyle = resolveCardColor(template, "badgeText", card);
+        setFont(ctx, "700", getBadgeFontSize(el.radius, chain.badge));
+        ctx.fillText(chain.badge, cx, cy + 1);
+      }
+      cx += el.radius * 2 + 8;
+    }
+  },
+};
+
+// Resolves with { chainId: image } for the chains whose logo loaded; the others are left out
+export async function loadChainLogos(chainIds) {
+  const loaded = await Promise.all(
+    chainIds.map(
+      (id) =>
+        new Promise((resolve) => {
+          const url = getChainLogoUrl(id);
+          if (!url) return resolve(null);
+          const img = new Image();
+          img.onload = () => resolve([id, img]);
+          img.onerror = () => resolve(null);
+          img.src = url;
+        })
+    )
+  );
+  return Object.fromEntries(loaded.filter(Boolean));
+}
+
+export function drawCardTemplate(ctx, template, card, { avatar = null, chainLogos = {} } = {}) {
+  const grad = ctx.createLinearGradient(0, 0, template.width, template.height);
+  grad.addColorStop(0, template.colors.backgroundFrom);
+  grad.addColorStop(1, template.colors.backgroundTo);
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, 0, template.width, template.height);
+
+  for (const el of template.elements) {
+    const color = el.color ? resolveCardColor(template, el.color, card) : null;
+    if (el.color && !color) continue;
+    ctx.save();
+    ELEMENT_DRAWERS[el.type](ctx, el, { color, template, card, avatar: el.type === "pill" ? avatar : null, chainLogos });
+    ctx.restore();
+  }
+}
@@ -0,0 +1,66 @@
+import { createTextMeasure, drawCardTemplate } from "@/lib/cardCanvas";
+import { buildImagePdf } from "@/lib/cardPdf";
+import { renderCardSvg } from "@/lib/cardSvg";
+
+// Share card downloads, rendered in the browser at the template's exact size (one image pixel per
+// card pixel), independent of the on-screen preview.
+
+export const CARD_EXPORT_FORMATS = [
+  { id: "png", label: "PNG", extension: "png" },
+  { id: "jpeg", label: "JPEG", extension: "jpg" },
+  { id: "svg", label: "SVG", extension: "svg" },
+  { id: "pdf", label: "PDF", extension: "pdf" },
+];
+
+const JPEG_QUALITY = 0.92;
+
+function renderCanvas(template, card, { avatar, chainLogos }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = template.width;
+  canvas.height = template.height;
+  drawCardTemplate(canvas.getContext("2d"), template, card, { avatar, chainLogos });
+  return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(`Could not encode ${type}`))), type, quality);
+  });
+}
+
+// The avatar as a data URL for the SVG; null when the image cannot be read back
+function imageToDataUrl(image) {
+  try {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.naturalWidth || image.width;
+    canvas.height = image.naturalHeight || image.height;
+    canvas.getContext("2d").drawImage(image, 0, 0);
+    return canvas.toDataURL("image/png");
+  } catch (err) {
+    return null;
+  }
+}
+
+// Returns the card as a Blob in one of CARD_EXPORT_FORMATS; `avatar` is a loaded image or null and
+// `chainLogos` the loaded chain logos (see loadChainLogos). The SVG embeds the logos itself.
+export async function exportCard(formatId, template, card, { avatar = null, chainLogos = {} } = {}) {
+  if (formatId === "svg") {
+    const measure = createTextMeasure(document.createElement("canvas").getContext("2d"));
+    const svg = renderCardSvg(template, card, { measure, avatarDataUrl: avatar ? imageToDataUrl(avatar) : null });
+    return new Blob([svg], { type: "image/svg+xml" });
+  }
+  const canvas = renderCanvas(template, card, { avatar, chainLogos });
+  if (formatId === "png") return canvasToBlob(canvas, "image/png");
+  const jpeg = await canvasToBlob(canvas, "image/jpeg", JPEG_QUALITY);
+  if (formatId === "jpeg") return jpeg;
+  if (formatId === "pdf") {
+    const pdf = buildImagePdf(new Uint8Array(await jpeg.arrayBuffer()), {
+      pixelWidth: canvas.width,
+      pixelHeight: canvas.height,
+      width: template.width,
+      height: template.height,
+    });
+    return new Blob([pdf], { type: "application/pdf" });
+  }
+  throw new Error(`Unknown export format: ${formatId}`);
+}
@@ -0,0 +1,51 @@
+// A single-page PDF holding one JPEG, written by hand so the export needs no PDF library. The page is
+// the card's size in points; the image is stored as-is (DCTDecode), so the PDF is barely larger than
+// the JPEG.
+
+const encoder = new TextEncoder();
+
+// `jpeg` is the file's bytes; `pixelWidth`/`pixelHeight` its dimensions, `width`/`height` the page size
+export function buildImagePdf(jpeg, { pixelWidth, pixelHeight, width, height }) {
+  const content = `q ${width} 0 0 ${height} 0 0 cm /Card Do Q`;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Card 4 0 R >> >> /Contents 5 0 R >>`,
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      "\nendstream",
+    ],
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+
+  const chunks = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  push("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+  const offsets = objects.map((object, index) => {
+    const offset = length;
+    push(`${index + 1} 0 obj\n`);
+    for (const part of [].concat(object)) push(part);
+    push("\nendobj\n");
+    return offset;
+  });
+
+  const xref = length;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  for (const offset of offsets) push(`${String(offset).padStart(10, "0")} 00000 n \n`);
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  for (const chunk of chunks) {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  }
+  return pdf;
+}
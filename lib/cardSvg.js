@@ -0,0 +1,132 @@
+import { CARD_FONT_FAMILY } from "@/lib/cardCanvas";
+import { getChainLogoUrl } from "@/lib/chainLogos";
+import { estimateTextWidth, fitCardFontSize, getBadgeFontSize, resolveCardColor } from "@/lib/cardTemplates";
+
+// Renders a card template (see lib/cardTemplates.js) as a standalone SVG document, the vector
+// counterpart of drawCardTemplate. `measure` sizes text like the canvas does (see createTextMeasure);
+// `avatarDataUrl` is embedded so the file does not depend on the avatar host.
+
+// Distance from the top of the em box to the alphabetic baseline, as a share of the font size
+const ASCENT = 0.8;
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function attrs(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(" ");
+}
+
+const ELEMENT_RENDERERS = {
+  circle: (el, { color }) => `<circle ${attrs({ cx: el.x, cy: el.y, r: el.radius, fill: color, "fill-opacity": el.opacity ?? 1 })}/>`,
+
+  line: (el, { color }) =>
+    `<line ${attrs({ x1: el.x1, y1: el.y1, x2: el.x2, y2: el.y2, stroke: color, "stroke-width": el.width })}/>`,
+
+  pill: (el, { color, template, card, avatarDataUrl, measure }) => {
+    const text = String(card[el.field] ?? "");
+    const padX = Math.round(el.height * 0.375);
+    const avatarSize = el.height - 12;
+    const avatarGap = avatarDataUrl ? avatarSize + 10 : 0;
+    const w = measure(text, el.weight, el.fontSize) + padX * 2 + avatarGap;
+    const x = (template.width - w) / 2;
+    const parts = [
+      `<rect ${attrs({ x, y: el.y, width: w, height: el.height, rx: el.height / 2, fill: resolveCardColor(template, el.background, card) })}/>`,
+    ];
+    if (avatarDataUrl) {
+      const cx = x + 6 + avatarSize / 2;
+      const cy = el.y + 6 + avatarSize / 2;
+      parts.push(
+        `<clipPath id="avatar"><circle ${attrs({ cx, cy, r: avatarSize / 2 })}/></clipPath>`,
+        `<image ${attrs({ href: avatarDataUrl, x: x + 6, y: el.y + 6, width: avatarSize, height: avatarSize, "clip-path": "url(#avatar)" })}/>`
+      );
+    }
+    parts.push(
+      `<text ${attrs({
+        x: x + padX + avatarGap,
+        y: el.y + el.height / 2 + 1,
+        "dominant-baseline": "central",
+        "font-size": el.fontSize,
+        "font-weight": el.weight,
+        fill: color,
+      })}>${escapeXml(text)}</text>`
+    );
+    return parts.join("");
+  },
+
+  text: (el, { color, card, measure }) => {
+    const text = String(card[el.field] ?? "");
+    const size = fitCardFontSize(el, text, measure);
+    const centered = el.align === "center";
+    return `<text ${attrs({
+      x: centered ? el.x + el.maxWidth / 2 : el.x,
+      y: el.y + size * ASCENT,
+      "text-anchor": centered ? "middle" : "start",
+      "font-size": size,
+      "font-weight": el.weight,
+      fill: color,
+    })}>${escapeXml(text)}</text>`;
+  },
+
+  badges: (el, { template, card }) =>
+    card.chains
+      .map((chain, index) => {
+        const cx = el.x + el.radius + index * (el.radius * 2 + 8);
+        const cy = el.y + el.radius;
+        const logo = getChainLogoUrl(chain.id);
+        if (logo) {
+          return (
+            `<clipPath id="badge-${index}"><circle ${attrs({ cx, cy, r: el.radius })}/></clipPath>` +
+            `<image ${attrs({
+              href: logo,
+              x: cx - el.radius,
+              y: cy - el.radius,
+              width: el.radius * 2,
+              height: el.radius * 2,
+              "clip-path": `url(#badge-${index})`,
+            })}/>`
+          );
+        }
+        return (
+          `<circle ${attrs({ cx, cy, r: el.radius, fill: chain.color })}/>` +
+          `<text ${attrs({
+            x: cx,
+            y: cy + 1,
+            "text-anchor": "middle",
+            "dominant-baseline": "central",
+            "font-size": getBadgeFontSize(el.radius, chain.badge),
+            "font-weight": 700,
+            fill: resolveCardColor(template, "badgeText", card),
+          })}>${escapeXml(chain.badge)}</text>`
+        );
+      })
+      .join(""),
+};
+
+export function renderCardSvg(template, card, { measure = estimateTextWidth, avatarDataUrl = null } = {}) {
+  const { width, height, colors } = template;
+  const body = template.elements
+    .map((el) => {
+      const color = el.color ? resolveCardColor(template, el.color, card) : null;
+      if (el.color && !color) return "";
+      return ELEMENT_RENDERERS[el.type](el, {
+        color,
+        template,
+        card,
+        measure,
+        avatarDataUrl: el.type === "pill" ? avatarDataUrl : null,
+      });
+    })
+    .join("\n  ");
+  return `<svg xmlns="http://www.w3.org/2000/svg" ${attrs({ width, height, viewBox: `0 0 ${width} ${height}`, "font-family": CARD_FONT_FAMILY })}>
+  <defs><linearGradient id="background" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="${width}" y2="${height}">` +
+    `<stop offset="0" stop-color="${escapeXml(colors.backgroundFrom)}"/><stop offset="1" stop-color="${escapeXml(colors.backgroundTo)}"/>` +
+    `</linearGradient></defs>
+  <rect width="${width}" height="${height}" fill="url(#background)"/>
+  ${body}
+</svg>
+`;
+}
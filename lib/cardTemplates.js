@@ -0,0 +1,220 @@
+// Share card templates are data: a theme (colors) and a layout (size and elements). The canvas card
+// (lib/cardCanvas.js) and the server image (components/share-card-image.js) both draw any template by
+// interpreting the same element types, so a new template is a new entry here and nothing else.
+//
+// Elements are drawn in order, in card pixels from the top left:
+//   circle  { x, y, radius, color, opacity }                    decoration, centred on x/y
+//   line    { x1, y1, x2, y2, color, width }                    horizontal or vertical
+//   pill    { field, y, height, fontSize, weight, color, background }
+//                                                               centred horizontally, with the avatar
+//   text    { field, x, y, maxWidth, fontSize, minFontSize, weight, color, align }
+//                                                               y is the top of the text; shrinks to fit
+//   badges  { x, y, radius }                                    one logo per scanned chain
+// `field` names a share card model property (see getShareCardModel). `color` and `background` name a
+// theme color; "pnl" is the theme's profit or loss color by the sign of the PnL. Elements whose color
+// the theme leaves null are skipped.
+
+export const CARD_THEMES = {
+  classic: {
+    backgroundFrom: "#e6f9ef",
+    backgroundTo: "#d0f2e5",
+    decoration: "#34d399",
+    pill: "rgba(255,255,255,0.9)",
+    username: "#065f46",
+    divider: "rgba(6,78,59,0.2)",
+    heading: "#064e3b",
+    subheading: "#065f46",
+    profit: "#059669",
+    loss: "#dc2626",
+    sprout: "#047857",
+    caption: "#065f46",
+    badgeText: "#ffffff",
+  },
+  dark: {
+    backgroundFrom: "#0b1220",
+    backgroundTo: "#132a26",
+    decoration: "#10b981",
+    pill: "rgba(255,255,255,0.1)",
+    username: "#d1fae5",
+    divider: "rgba(209,250,229,0.2)",
+    heading: "#f9fafb",
+    subheading: "#a7f3d0",
+    profit: "#34d399",
+    loss: "#f87171",
+    sprout: "#6ee7b7",
+    caption: "#9ca3af",
+    badgeText: "#ffffff",
+  },
+  minimal: {
+    backgroundFrom: "#ffffff",
+    backgroundTo: "#ffffff",
+    decoration: null,
+    pill: "#f3f4f6",
+    username: "#111827",
+    divider: "#e5e7eb",
+    heading: "#111827",
+    subheading: "#374151",
+    profit: "#16a34a",
+    loss: "#dc2626",
+    sprout: "#047857",
+    caption: "#6b7280",
+    badgeText: "#ffffff",
+  },
+  // For the red years: the loss is the headline, in a color that reads on the dark red background
+  degen: {
+    backgroundFrom: "#2a0606",
+    backgroundTo: "#7f1d1d",
+    decoration: "#ef4444",
+    pill: "rgba(0,0,0,0.35)",
+    username: "#fecaca",
+    divider: "rgba(254,202,202,0.25)",
+    heading: "#fee2e2",
+    subheading: "#fecaca",
+    profit: "#4ade80",
+    loss: "#ff6b6b",
+    sprout: "#86efac",
+    caption: "#fca5a5",
+    badgeText: "#ffffff",
+  },
+};
+
+export const CARD_LAYOUTS = {
+  // Two columns side by side: trading PnL | Sprout
+  wide: {
+    width: 1200,
+    height: 520,
+    elements: [
+      { type: "circle", x: 1100, y: 80, radius: 120, color: "decoration", opacity: 0.2 },
+      { type: "circle", x: 150, y: 550, radius: 160, color: "decoration", opacity: 0.2 },
+      { type: "pill", field: "username", y: 28, height: 48, fontSize: 28, weight: 600, color: "username", background: "pill" },
+      { type: "line", x1: 600, y1: 120, x2: 600, y2: 460, color: "divider", width: 3 },
+      { type: "text", field: "pnlHeading", x: 60, y: 124, maxWidth: 480, fontSize: 36, minFontSize: 22, weight: 600, color: "heading" },
+      { type: "text", field: "pnlText", x: 60, y: 176, maxWidth: 480, fontSize: 88, minFontSize: 40, weight: 700, color: "pnl" },
+      { type: "text", field: "pnlCaption", x: 60, y: 272, maxWidth: 480, fontSize: 24, weight: 500, color: "caption" },
+      { type: "text", field: "sproutHeading", x: 660, y: 124, maxWidth: 480, fontSize: 36, minFontSize: 22, weight: 600, color: "subheading" },
+      { type: "text", field: "sproutText", x: 660, y: 176, maxWidth: 480, fontSize: 88, minFontSize: 40, weight: 700, color: "sprout" },
+      { type: "text", field: "sproutCaption", x: 660, y: 272, maxWidth: 480, fontSize: 24, weight: 500, color: "caption" },
+      { type: "badges", x: 60, y: 474, radius: 14 },
+    ],
+  },
+  // 1.91:1, the size X and other link previews show without cropping
+  og: {
+    width: 1200,
+    height: 630,
+    elements: [
+      { type: "circle", x: 1100, y: 90, radius: 140, color: "decoration", opacity: 0.2 },
+      { type: "circle", x: 150, y: 660, radius: 190, color: "decoration", opacity: 0.2 },
+      { type: "pill", field: "username", y: 36, height: 52, fontSize: 30, weight: 600, color: "username", background: "pill" },
+      { type: "line", x1: 600, y1: 150, x2: 600, y2: 560, color: "divider", width: 3 },
+      { type: "text", field: "pnlHeading", x: 60, y: 160, maxWidth: 480, fontSize: 38, minFontSize: 22, weight: 600, color: "heading" },
+      { type: "text", field: "pnlText", x: 60, y: 216, maxWidth: 480, fontSize: 96, minFontSize: 40, weight: 700, color: "pnl" },
+      { type: "text", field: "pnlCaption", x: 60, y: 324, maxWidth: 480, fontSize: 26, weight: 500, color: "caption" },
+      { type: "text", field: "sproutHeading", x: 660, y: 160, maxWidth: 480, fontSize: 38, minFontSize: 22, weight: 600, color: "subheading" },
+      { type: "text", field: "sproutText", x: 660, y: 216, maxWidth: 480, fontSize: 96, minFontSize: 40, weight: 700, color: "sprout" },
+      { type: "text", field: "sproutCaption", x: 660, y: 324, maxWidth: 480, fontSize: 26, weight: 500, color: "caption" },
+      { type: "badges", x: 60, y: 576, radius: 14 },
+    ],
+  },
+  // Stacked: trading PnL above Sprout
+  square: {
+    width: 1080,
+    height: 1080,
+    elements: [
+      { type: "circle", x: 960, y: 120, radius: 180, color: "decoration", opacity: 0.2 },
+      { type: "circle", x: 120, y: 1000, radius: 220, color: "decoration", opacity: 0.2 },
+      { type: "pill", field: "username", y: 60, height: 64, fontSize: 36, weight: 600, color: "username", background: "pill" },
+      { type: "text", field: "pnlHeading", x: 80, y: 200, maxWidth: 920, fontSize: 44, minFontSize: 26, weight: 600, color: "heading", align: "center" },
+      { type: "text", field: "pnlText", x: 80, y: 268, maxWidth: 920, fontSize: 140, minFontSize: 60, weight: 700, color: "pnl", align: "center" },
+      { type: "text", field: "pnlCaption", x: 80, y: 428, maxWidth: 920, fontSize: 30, weight: 500, color: "caption", align: "center" },
+      { type: "line", x1: 240, y1: 530, x2: 840, y2: 530, color: "divider", width: 3 },
+      { type: "text", field: "sproutHeading", x: 80, y: 590, maxWidth: 920, fontSize: 44, minFontSize: 26, weight: 600, color: "subheading", align: "center" },
+      { type: "text", field: "sproutText", x: 80, y: 658, maxWidth: 920, fontSize: 120, minFontSize: 56, weight: 700, color: "sprout", align: "center" },
+      { type: "text", field: "sproutCaption", x: 80, y: 800, maxWidth: 920, fontSize: 30, weight: 500, color: "caption", align: "center" },
+      { type: "badges", x: 80, y: 980, radius: 18 },
+    ],
+  },
+  // 9:16, for stories
+  story: {
+    width: 1080,
+    height: 1920,
+    elements: [
+      { type: "circle", x: 980, y: 200, radius: 260, color: "decoration", opacity: 0.2 },
+      { type: "circle", x: 100, y: 1800, radius: 320, color: "decoration", opacity: 0.2 },
+      { type: "pill", field: "username", y: 160, height: 72, fontSize: 40, weight: 600, color: "username", background: "pill" },
+      { type: "text", field: "pnlHeading", x: 90, y: 480, maxWidth: 900, fontSize: 52, minFontSize: 30, weight: 600, color: "heading", align: "center" },
+      { type: "text", field: "pnlText", x: 90, y: 564, maxWidth: 900, fontSize: 160, minFontSize: 64, weight: 700, color: "pnl", align: "center" },
+      { type: "text", field: "pnlCaption", x: 90, y: 750, maxWidth: 900, fontSize: 34, weight: 500, color: "caption", align: "center" },
+      { type: "line", x1: 240, y1: 920, x2: 840, y2: 920, color: "divider", width: 3 },
+      { type: "text", field: "sproutHeading", x: 90, y: 1020, maxWidth: 900, fontSize: 52, minFontSize: 30, weight: 600, color: "subheading", align: "center" },
+      { type: "text", field: "sproutText", x: 90, y: 1104, maxWidth: 900, fontSize: 140, minFontSize: 60, weight: 700, color: "sprout", align: "center" },
+      { type: "text", field: "sproutCaption", x: 90, y: 1284, maxWidth: 900, fontSize: 34, weight: 500, color: "caption", align: "center" },
+      { type: "badges", x: 90, y: 1760, radius: 22 },
+    ],
+  },
+};
+
+// The picker on the share step lists these in order
+export const CARD_TEMPLATES = [
+  { id: "classic", label: "Classic", theme: "classic", layout: "wide" },
+  { id: "dark", label: "Dark", theme: "dark", layout: "wide" },
+  { id: "minimal", label: "Minimal", theme: "minimal", layout: "wide" },
+  { id: "degen", label: "Degen", theme: "degen", layout: "wide" },
+  { id: "square", label: "Square", theme: "classic", layout: "square" },
+  { id: "story", label: "Story", theme: "classic", layout: "story" },
+];
+
+export const DEFAULT_CARD_TEMPLATE = "classic";
+
+// Sizes any template can be rendered at, each with its own layout; "template" keeps the template's
+export const CARD_SIZES = [
+  { id: "template", label: "Template size", layout: null },
+  { id: "og", label: "1200×630", layout: "og" },
+  { id: "square", label: "1:1", layout: "square" },
+  { id: "story", label: "9:16", layout: "story" },
+];
+
+export const DEFAULT_CARD_SIZE = "template";
+
+export function isCardTemplateId(value) {
+  return CARD_TEMPLATES.some((template) => template.id === value);
+}
+
+export function isCardSizeId(value) {
+  return CARD_SIZES.some((size) => size.id === value);
+}
+
+// A template with its theme and layout looked up, at a size from CARD_SIZES; unknown ids get the defaults
+export function getCardTemplate(id, sizeId = DEFAULT_CARD_SIZE) {
+  const template =
+    CARD_TEMPLATES.find((t) => t.id === id) || CARD_TEMPLATES.find((t) => t.id === DEFAULT_CARD_TEMPLATE);
+  const layout = CARD_LAYOUTS[CARD_SIZES.find((size) => size.id === sizeId)?.layout || template.layout];
+  return { ...template, colors: CARD_THEMES[template.theme], width: layout.width, height: layout.height, elements: layout.elements };
+}
+
+// The concrete color for an element's `color` or `background`, or null to skip it
+export function resolveCardColor(template, name, card) {
+  if (name === "pnl") return card.pnlPositive ? template.colors.profit : template.colors.loss;
+  return template.colors[name] ?? null;
+}
+
+// Largest size from el.fontSize down to el.minFontSize, in 2px steps, at which `text` fits el.maxWidth.
+// `measure(text, weight, sizePx)` returns the rendered width.
+export function fitCardFontSize(el, text, measure) {
+  const minPx = el.minFontSize ?? el.fontSize;
+  let size = el.fontSize;
+  while (size > minPx) {
+    if (measure(text, el.weight, size) <= el.maxWidth) return size;
+    size -= 2;
+  }
+  return minPx;
+}
+
+// Font size of a chain badge's monogram, drawn when its logo is not available
+export function getBadgeFontSize(radius, badge) {
+  return Math.round(radius * (badge.length > 2 ? 0.6 : badge.length > 1 ? 0.8 : 1));
+}
+
+// For renderers that cannot measure text (next/og)
+export function estimateTextWidth(text, weight, sizePx) {
+  return String(text).length * sizePx * 0.6;
+}
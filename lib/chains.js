@@ -0,0 +1,188 @@
+// Chain registry. Adding a chain the data provider supports is a matter of adding an entry here:
+//   id              internal id, used in requests, cache keys and fixture file names
+//   family          address family: "evm" or "solana"; a wallet is only scanned on chains of its family
+//   name            display name
+//   explorerUrl     block explorer base URL
+//   nativeSymbol    symbol of the native gas coin
+//   wrappedNative   wrapped native token contract (normalized, see normalizeAddress), used to price the native coin
+//   nativeAsset     canonical asset the native coin merges into across chains (lib/tokens.js), if any
+//   stablecoins     stablecoin contracts per canonical asset (normalized), bridged variants included; swaps
+//                   into or out of them are cash, not positions
+//   providerChainId chain id sent to the data provider
+//   color, badge    brand colour and a unique monogram, for chain badges where the logo (lib/chainLogos.js)
+//                   is not available
+//   scanByDefault   whether the chain is selected when the user does not pick chains
+export const CHAINS = [
+  {
+    id: "eth",
+    family: "evm",
+    name: "Ethereum",
+    explorerUrl: "https://etherscan.io",
+    nativeSymbol: "ETH",
+    wrappedNative: "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2",
+    nativeAsset: "ETH",
+    stablecoins: {
+      USDC: ["0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48"],
+      USDT: ["0xdac17f958d2ee523a2206206994597c13d831ec7"],
+      DAI: ["0x6b175474e89094c44da98b954eedeac495271d0f"],
+    },
+    providerChainId: "0x1",
+    color: "#627EEA",
+    badge: "E",
+    scanByDefault: true,
+  },
+  {
+    id: "bsc",
+    family: "evm",
+    name: "BNB Chain",
+    explorerUrl: "https://bscscan.com",
+    nativeSymbol: "BNB",
+    wrappedNative: "0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c",
+    stablecoins: {
+      USDC: ["0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d"],
+      USDT: ["0x55d398326f99059ff775485246999027b3197955"],
+      DAI: ["0x1af3f329e8be154074d8769d1ffa4ee058b1dbc3"],
+    },
+    providerChainId: "0x38",
+    color: "#F0B90B",
+    badge: "BNB",
+    scanByDefault: true,
+  },
+  {
+    id: "arbitrum",
+    family: "evm",
+    name: "Arbitrum",
+    explorerUrl: "https://arbiscan.io",
+    nativeSymbol: "ETH",
+    wrappedNative: "0x82af49447d8a07e3bd95bd0d56f35241523fbab1",
+    nativeAsset: "ETH",
+    stablecoins: {
+      USDC: ["0xaf88d065e77c8cc2239327c5edb3a432268e5831", "0xff970a61a04b1ca14834a43f5de4533ebddb5cc8"],
+      USDT: ["0xfd086bc7cd5c481dcc9c85ebe478a1c0b69fcbb9"],
+      DAI: ["0xda10009cbd5d07fd0cecc66161fc93d7c9000da1"],
+    },
+    providerChainId: "0xa4b1",
+    color: "#28A0F0",
+    badge: "A",
+    scanByDefault: true,
+  },
+  {
+    id: "base",
+    family: "evm",
+    name: "Base",
+    explorerUrl: "https://basescan.org",
+    nativeSymbol: "ETH",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
+    nativeAsset: "ETH",
+    stablecoins: {
+      USDC: ["0x833589fcd6edb6e08f4c7c32d4f71b54bda02913", "0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca"],
+      USDT: ["0xfde4c96c8593536e31f229ea8f37b2ada2699bb2"],
+      DAI: ["0x50c5725949a6f0c72e6c4a641f24049a917db0cb"],
+    },
+    providerChainId: "0x2105",
+    color: "#0052FF",
+    badge: "BA",
+    scanByDefault: true,
+  },
+  {
+    id: "optimism",
+    family: "evm",
+    name: "Optimism",
+    explorerUrl: "https://optimistic.etherscan.io",
+    nativeSymbol: "ETH",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
+    nativeAsset: "ETH",
+    stablecoins: {
+      USDC: ["0x0b2c639c533813f4aa9d7837caf62653d097ff85", "0x7f5c764cbc14f9669b88837ca1490cca17c31607"],
+      USDT: ["0x94b008aa00579c1307b0ef2c499ad98a8ce58e58"],
+      DAI: ["0xda10009cbd5d07fd0cecc66161fc93d7c9000da1"],
+    },
+    providerChainId: "0xa",
+    color: "#FF0420",
+    badge: "OP",
+    scanByDefault: true,
+  },
+  {
+    id: "linea",
+    family: "evm",
+    name: "Linea",
+    explorerUrl: "https://lineascan.build",
+    nativeSymbol: "ETH",
+    wrappedNative: "0xe5d7c2a44ffddf6b295a15c148167daaaf5cf34f",
+    nativeAsset: "ETH",
+    stablecoins: {
+      USDC: ["0x176211869ca2b568f2a7d4ee941e073a821ee1ff"],
+      USDT: ["0xa219439258ca9da29e9cc4ce5596924745e12b93"],
+      DAI: ["0x4af15ec2a0bd43db75dd04e62faa3b8ef36b00d5"],
+    },
+    providerChainId: "0xe708",
+    color: "#121212",
+    badge: "L",
+    scanByDefault: true,
+  },
+  {
+    id: "polygon",
+    family: "evm",
+    name: "Polygon",
+    explorerUrl: "https://polygonscan.com",
+    nativeSymbol: "POL",
+    wrappedNative: "0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270",
+    stablecoins: {
+      USDC: ["0x3c499c542cef5e3811e1192ce70d8cc03d5c3359", "0x2791bca1f2de4661ed88a30c99a7a9449aa84174"],
+      USDT: ["0xc2132d05d31c914a87c6611c10748aeb04b58e8f"],
+      DAI: ["0x8f3cf7ad23cd3cadbd9735aff958023239c6a063"],
+    },
+    providerChainId: "0x89",
+    color: "#8247E5",
+    badge: "P",
+    scanByDefault: false,
+  },
+  {
+    id: "avalanche",
+    family: "evm",
+    name: "Avalanche",
+    explorerUrl: "https://snowtrace.io",
+    nativeSymbol: "AVAX",
+    wrappedNative: "0xb31f66aa3c1e785363f0875a1b74e27b85fd66c7",
+    stablecoins: {
+      USDC: ["0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e", "0xa7d7079b0fead91f3e65f86e8915cb59c1a4c664"],
+      USDT: ["0x9702230a8ea53601f5cd2dc00fdbc13d4df4a8c7", "0xc7198437980c041c805a1edcba50c1ce5db95118"],
+      DAI: ["0xd586e7f844cea2f87f50152665bcbc2c279d8d70"],
+    },
+    providerChainId: "0xa86a",
+    color: "#E84142",
+    badge: "AV",
+    scanByDefault: false,
+  },
+  {
+    id: "solana",
+    family: "solana",
+    name: "Solana",
+    explorerUrl: "https://solscan.io",
+    nativeSymbol: "SOL",
+    wrappedNative: "So11111111111111111111111111111111111111112",
+    stablecoins: {
+      USDC: ["EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v"],
+      USDT: ["Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB"],
+    },
+    providerChainId: "mainnet",
+    color: "#9945FF",
+    badge: "S",
+    scanByDefault: true,
+  },
+];
+
+const chainsById = Object.fromEntries(CHAINS.map((chain) => [chain.id, chain]));
+
+export const CHAIN_IDS = CHAINS.map((chain) => chain.id);
+export const DEFAULT_CHAIN_IDS = CHAINS.filter((chain) => chain.scanByDefault).map((chain) => chain.id);
+
+export function getChain(id) {
+  return chainsById[id] || null;
+}
+
+// EVM addresses are case-insensitive and kept lowercase; Solana's base58 addresses are case-sensitive
+export function normalizeAddress(chain, address) {
+  if (typeof address !== "string" || !address) return null;
+  return getChain(chain)?.family === "solana" ? address : address.toLowerCase();
+}
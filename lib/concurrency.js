@@ -0,0 +1,43 @@
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+}
+
+export function readPositiveInt(envName, fallback) {
+  const value = Number(process.env[envName]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+// Like readPositiveInt, but 0 and fractions are kept; unset or blank means the fallback
+export function readNonNegativeNumber(envName, fallback) {
+  const raw = process.env[envName];
+  const value = typeof raw === "string" && raw.trim() ? Number(raw) : Number.NaN;
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Runs `fn` over `items` with at most `limit` calls in flight; results keep the input order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Wall-clock budget shared by everything a single request does
+export function createDeadline(ms) {
+  const endsAt = Date.now() + ms;
+  return {
+    remainingMs() {
+      return Math.max(0, endsAt - Date.now());
+    },
+    expired() {
+      return Date.now() >= endsAt;
+    },
+  };
+}
@@ -0,0 +1,105 @@
+export const COST_BASIS_METHODS = ["average", "fifo", "lifo", "hifo"];
+export const DEFAULT_COST_BASIS_METHOD = "average";
+
+export const COST_BASIS_LABELS = {
+  average: "Average cost",
+  fifo: "FIFO",
+  lifo: "LIFO",
+  hifo: "HIFO",
+};
+
+export function normalizeCostBasisMethod(value) {
+  const method = typeof value === "string" ? value.trim().toLowerCase() : "";
+  return COST_BASIS_METHODS.includes(method) ? method : DEFAULT_COST_BASIS_METHOD;
+}
+
+// What to do with sells that have no matching buy (bought before the history starts, airdropped, received)
+export const UNMATCHED_SELL_TREATMENTS = ["exclude", "zero", "manual"];
+export const DEFAULT_UNMATCHED_SELL_TREATMENT = "exclude";
+
+export const UNMATCHED_SELL_TREATMENT_LABELS = {
+  exclude: "Exclude",
+  zero: "Zero cost",
+  manual: "Enter cost",
+};
+
+export function normalizeUnmatchedSellTreatment(value) {
+  const treatment = typeof value === "string" ? value.trim().toLowerCase() : "";
+  return UNMATCHED_SELL_TREATMENTS.includes(treatment) ? treatment : DEFAULT_UNMATCHED_SELL_TREATMENT;
+}
+
+// Manual costs are USD per token, keyed by token key (see lib/tokens.js); anything not a non-negative number is dropped
+export function normalizeManualCosts(value) {
+  const costs = Object.create(null);
+  if (!value || typeof value !== "object" || Array.isArray(value)) return costs;
+  for (const [tokenKey, raw] of Object.entries(value)) {
+    const unitCostUsd = Number(raw);
+    if (tokenKey && raw !== "" && raw !== null && Number.isFinite(unitCostUsd) && unitCostUsd >= 0) {
+      costs[tokenKey] = unitCostUsd;
+    }
+  }
+  return costs;
+}
+
+// Picks the index of the lot to consume next for the given method
+function pickLotIndex(method, lots) {
+  if (method === "lifo") return lots.length - 1;
+  if (method === "hifo") {
+    let best = 0;
+    for (let i = 1; i < lots.length; i++) {
+      const unit = lots[i].costUsd / lots[i].quantity;
+      const bestUnit = lots[best].costUsd / lots[best].quantity;
+      if (unit > bestUnit) best = i;
+    }
+    return best;
+  }
+  return 0;
+}
+
+// Tracks the open lots of a single position and matches disposals against them
+export function createLotBook(method = DEFAULT_COST_BASIS_METHOD) {
+  const lots = []; // [{ quantity, costUsd, timestamp }]
+
+  function add(quantity, costUsd, timestamp = null) {
+    if (!Number.isFinite(quantity) || quantity <= 0) return;
+    const cost = Number.isFinite(costUsd) && costUsd > 0 ? costUsd : 0;
+    if (method === "average" && lots.length) {
+      lots[0].quantity += quantity;
+      lots[0].costUsd += cost;
+      return;
+    }
+    lots.push({ quantity, costUsd: cost, timestamp });
+  }
+
+  // Removes up to `quantity` units and returns the cost basis that left the book
+  function remove(quantity) {
+    let remaining = quantity;
+    let costUsd = 0;
+    let removed = 0;
+    while (remaining > 0 && lots.length) {
+      const index = pickLotIndex(method, lots);
+      const lot = lots[index];
+      const take = Math.min(lot.quantity, remaining);
+      const lotCost = lot.quantity > 0 ? lot.costUsd * (take / lot.quantity) : 0;
+      costUsd += lotCost;
+      removed += take;
+      remaining -= take;
+      lot.quantity -= take;
+      lot.costUsd = Math.max(0, lot.costUsd - lotCost);
+      if (lot.quantity <= 0) lots.splice(index, 1);
+    }
+    return { quantity: removed, costUsd };
+  }
+
+  return {
+    method,
+    add,
+    remove,
+    get quantity() {
+      return lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    },
+    get costUsd() {
+      return lots.reduce((sum, lot) => sum + lot.costUsd, 0);
+    },
+  };
+}
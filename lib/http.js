@@ -0,0 +1,41 @@
+import { readPositiveInt, sleep } from "@/lib/concurrency";
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Retry-After is either delay seconds or an HTTP date
+function parseRetryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// fetch() that retries network errors, 429 and 5xx with exponential backoff (honouring Retry-After)
+// and never waits past the deadline. Throws the last network error or returns the last response.
+export async function fetchWithRetry(url, init, { deadline } = {}) {
+  const maxRetries = readPositiveInt("MORALIS_MAX_RETRIES", 3);
+  const baseDelayMs = readPositiveInt("MORALIS_RETRY_BASE_MS", 500);
+
+  for (let attempt = 0; ; attempt++) {
+    if (deadline?.expired()) throw new Error("Deadline exceeded");
+    let response = null;
+    let error = null;
+    try {
+      const signal = deadline ? AbortSignal.timeout(deadline.remainingMs()) : undefined;
+      response = await fetch(url, { ...init, signal });
+      if (!RETRYABLE_STATUSES.has(response.status)) return response;
+    } catch (err) {
+      error = err;
+    }
+
+    const backoffMs = baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs;
+    const delayMs = parseRetryAfterMs(response?.headers.get("retry-after")) ?? backoffMs;
+    const outOfTime = deadline && delayMs >= deadline.remainingMs();
+    if (attempt >= maxRetries || outOfTime) {
+      if (response) return response;
+      throw error;
+    }
+    await sleep(delayMs);
+  }
+}
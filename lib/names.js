@@ -0,0 +1,43 @@
+// Wallet inputs: a raw EVM or Solana address, or a name to resolve (ENS `name.eth`, Basename `name.base.eth`).
+// Shared by the form and the API, so it must stay free of server-only imports.
+
+const EVM_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+// Base58 public key: 32 bytes encode to 32-44 characters, without 0, O, I and l
+const SOLANA_ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+// Dot-separated labels ending in .eth; Basenames are ENS subnames of base.eth
+const ENS_NAME_PATTERN = /^(?:[^\s./]+\.)+eth$/u;
+
+export function isEvmAddress(value) {
+  return typeof value === "string" && EVM_ADDRESS_PATTERN.test(value);
+}
+
+export function isSolanaAddress(value) {
+  return typeof value === "string" && SOLANA_ADDRESS_PATTERN.test(value);
+}
+
+// Chain family an address belongs to (matches `family` in lib/chains.js), or null for anything else
+export function getAddressFamily(value) {
+  if (isEvmAddress(value)) return "evm";
+  if (isSolanaAddress(value)) return "solana";
+  return null;
+}
+
+// Comparison form of a raw address: EVM addresses are case-insensitive and compared lowercase, Solana's
+// base58 addresses are case-sensitive and kept as they are. Use normalizeAddress (lib/chains.js) when
+// the chain is known.
+export function normalizeWalletAddress(value) {
+  const address = typeof value === "string" ? value.trim() : "";
+  return isEvmAddress(address) ? address.toLowerCase() : address;
+}
+
+export function normalizeName(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : "";
+}
+
+export function isEnsName(value) {
+  return ENS_NAME_PATTERN.test(normalizeName(value));
+}
+
+export function isWalletInput(value) {
+  return Boolean(getAddressFamily(value)) || isEnsName(value);
+}
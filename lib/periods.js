@@ -0,0 +1,34 @@
+export const FIRST_PERIOD_YEAR = 2023;
+export const DEFAULT_PERIOD = "2025";
+export const ALL_TIME_PERIOD = "all";
+
+export function getPeriodOptions(now = new Date()) {
+  const options = [];
+  for (let year = now.getUTCFullYear(); year >= FIRST_PERIOD_YEAR; year--) {
+    options.push({ id: String(year), label: String(year) });
+  }
+  options.push({ id: ALL_TIME_PERIOD, label: "All time" });
+  return options;
+}
+
+// Maps a period id to an inclusive ISO range; "all" has no bounds
+export function getPeriodRange(period) {
+  const year = Number(period);
+  if (!Number.isInteger(year)) return { from: null, to: null };
+  return {
+    from: new Date(Date.UTC(year, 0, 1)).toISOString(),
+    to: new Date(Date.UTC(year + 1, 0, 1) - 1).toISOString(),
+  };
+}
+
+export function getPeriodLabel(period) {
+  return period === ALL_TIME_PERIOD ? "All-time" : String(period);
+}
+
+// Accepts ISO strings or epoch milliseconds; returns ms, null when absent, NaN when invalid
+export function parseTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : Number.NaN;
+  if (typeof value !== "string") return Number.NaN;
+  return Date.parse(value.trim());
+}
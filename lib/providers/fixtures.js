@@ -0,0 +1,90 @@
+import { readFile } from "fs/promises";
+import path from "path";
+import { normalizeAddress } from "@/lib/chains";
+import {
+  extractPricesFromResponse,
+  extractSwapsFromResponse,
+  extractTransactionsFromHistory,
+} from "@/lib/providers/moralis";
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (err) {
+    if (err?.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Serves recorded Moralis responses from disk:
+//   <dir>/swaps/<address>/<chain>.json  wallet swaps response (or a bare array of swaps)
+//   <dir>/history/<address>/<chain>.json wallet history response (transfers and gas)
+//   <dir>/prices/<chain>.json           erc20/prices response
+//   <dir>/prices/historical/<chain>.json [{ tokenAddress, blockTimestamp, usdPrice }]; the latest point at or
+//                                        before the swap is used
+// Address directories are normalized (see normalizeAddress): lowercase on EVM chains, as-is on Solana.
+export function createFixtureProvider({ dir }) {
+  async function fetchSwaps(address, chain, { fromDate, onPage }) {
+    try {
+      const data = await readJson(path.join(dir, "swaps", normalizeAddress(chain, address), `${chain}.json`));
+      const items = extractSwapsFromResponse(data).filter(
+        (item) => !fromDate || (typeof item?.blockTimestamp === "string" && item.blockTimestamp >= fromDate)
+      );
+      onPage(1, items.length);
+      return { items, pages: 1, lastStatus: 200, complete: true, error: null };
+    } catch (err) {
+      const error = { status: 0, details: { error: "Unreadable fixture" } };
+      return { items: [], pages: 0, lastStatus: 0, complete: false, error };
+    }
+  }
+
+  async function fetchHistory(address, chain, { fromDate, onPage }) {
+    try {
+      const data = await readJson(path.join(dir, "history", normalizeAddress(chain, address), `${chain}.json`));
+      const items = extractTransactionsFromHistory(data).filter(
+        (item) => !fromDate || (typeof item.blockTimestamp === "string" && item.blockTimestamp >= fromDate)
+      );
+      onPage(1, items.length);
+      return { items, pages: 1, lastStatus: 200, complete: true, error: null };
+    } catch (err) {
+      const error = { status: 0, details: { error: "Unreadable fixture" } };
+      return { items: [], pages: 0, lastStatus: 0, complete: false, error };
+    }
+  }
+
+  async function fetchPrices(chain, tokens) {
+    try {
+      const wanted = new Set(tokens.map((t) => normalizeAddress(chain, t.token_address)));
+      const data = await readJson(path.join(dir, "prices", `${chain}.json`));
+      const items = extractPricesFromResponse(data).filter((p) => wanted.has(normalizeAddress(chain, p.tokenAddress)));
+      return { items, error: null };
+    } catch (err) {
+      return { items: [], error: "Unreadable price fixture" };
+    }
+  }
+
+  async function fetchHistoricalPrice(chain, tokenAddress, { blockTimestamp }) {
+    try {
+      const data = await readJson(path.join(dir, "prices", "historical", `${chain}.json`));
+      const wanted = normalizeAddress(chain, tokenAddress);
+      const point = (Array.isArray(data) ? data : [])
+        .filter((p) => normalizeAddress(chain, p?.tokenAddress) === wanted && p.blockTimestamp <= blockTimestamp)
+        .sort((a, b) => b.blockTimestamp.localeCompare(a.blockTimestamp))[0];
+      const usdPrice = Number(point?.usdPrice);
+      return Number.isFinite(usdPrice) && usdPrice > 0
+        ? { usdPrice, error: null }
+        : { usdPrice: null, error: "No historical price" };
+    } catch (err) {
+      return { usdPrice: null, error: "Unreadable price fixture" };
+    }
+  }
+
+  return {
+    name: "fixtures",
+    configError: null,
+    fetchSwaps,
+    fetchHistory,
+    fetchPrices,
+    fetchHistoricalPrice,
+  };
+}
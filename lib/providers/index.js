@@ -0,0 +1,29 @@
+import path from "path";
+import { createFixtureProvider } from "@/lib/providers/fixtures";
+import { createMoralisProvider } from "@/lib/providers/moralis";
+
+// A data provider exposes:
+//   name, configError (string when it cannot run, else null)
+//   fetchSwaps(address, chain, { limit, fromDate, deadline, onPage })
+//     -> { items, pages, lastStatus, complete, error: { status, details } | null }
+//     items are Moralis-shaped wallet swaps (EVM and Solana share the shape); onPage(pageNumber, swapsSoFar)
+//     is called per page
+//   fetchHistory(address, chain, { limit, fromDate, deadline, onPage })
+//     -> same shape as fetchSwaps; items are wallet transactions (none for chains without wallet history):
+//        { transactionHash, blockTimestamp, from, feeNative, transfers }
+//        transfers: [{ transactionHash, logIndex, blockTimestamp, from, to, tokenAddress, symbol, amount }]
+//   fetchPrices(chain, tokens: [{ token_address }], { deadline })
+//     -> { items: [{ tokenAddress, usdPrice, possibleSpam, liquidityUsd }], error: string | null }
+//        liquidityUsd is null when the provider does not report it
+//   fetchHistoricalPrice(chain, tokenAddress, { blockNumber, blockTimestamp, deadline })   optional
+//     -> { usdPrice: number | null, error: string | null }; USD price of the token as of that block
+export function getDataProvider() {
+  if (process.env.DATA_PROVIDER === "fixtures") {
+    return createFixtureProvider({ dir: process.env.FIXTURES_DIR || path.join(process.cwd(), "fixtures") });
+  }
+  return createMoralisProvider({
+    apiKey: process.env.MORALIS_API_KEY,
+    baseUrl: process.env.MORALIS_BASE_URL || undefined,
+    solanaBaseUrl: process.env.MORALIS_SOLANA_BASE_URL || undefined,
+  });
+}
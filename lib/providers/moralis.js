@@ -0,0 +1,269 @@
+import { getChain } from "@/lib/chains";
+import { fetchWithRetry } from "@/lib/http";
+import { NATIVE_TOKEN_ADDRESS } from "@/lib/tokens";
+
+const DEFAULT_MORALIS_BASE = "https://deep-index.moralis.io/api/v2.2";
+const DEFAULT_MORALIS_SOLANA_BASE = "https://solana-gateway.moralis.io";
+
+export function extractSwapsFromResponse(data) {
+  if (!data) return [];
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data.result)) return data.result;
+  if (Array.isArray(data.swaps)) return data.swaps;
+  return [];
+}
+
+export function getNextCursor(data) {
+  return (
+    (data && (data.cursor || data.next_cursor || data.nextCursor)) ||
+    (data && data.pagination && (data.pagination.cursor || data.pagination.next_cursor)) ||
+    null
+  );
+}
+
+export function extractPricesFromResponse(data) {
+  const items = Array.isArray(data) ? data : Array.isArray(data?.result) ? data.result : [];
+  const prices = [];
+  for (const p of items) {
+    const tokenAddress = typeof p?.tokenAddress === "string" ? p.tokenAddress : null;
+    const usdPrice = Number(p?.usdPrice);
+    if (!tokenAddress || !Number.isFinite(usdPrice)) continue;
+    const liquidityUsd = Number(p.pairTotalLiquidityUsd);
+    prices.push({
+      tokenAddress,
+      usdPrice,
+      possibleSpam: p.possibleSpam === true,
+      liquidityUsd: p.pairTotalLiquidityUsd != null && Number.isFinite(liquidityUsd) ? liquidityUsd : null,
+    });
+  }
+  return prices;
+}
+
+function toTransfer(tx, transfer, tokenAddress, logIndex) {
+  const amount = Number(transfer?.value_formatted);
+  const from = typeof transfer?.from_address === "string" ? transfer.from_address.toLowerCase() : null;
+  const to = typeof transfer?.to_address === "string" ? transfer.to_address.toLowerCase() : null;
+  if (!Number.isFinite(amount) || amount <= 0 || !from || !to || !tokenAddress) return null;
+  return {
+    transactionHash: tx.hash || null,
+    logIndex,
+    blockTimestamp: tx.block_timestamp || null,
+    from,
+    to,
+    tokenAddress: tokenAddress.toLowerCase(),
+    symbol: transfer.token_symbol || null,
+    amount,
+  };
+}
+
+// Gas paid by the sender, in the chain's native coin
+function readTransactionFee(tx) {
+  const fee = Number(tx?.transaction_fee);
+  if (Number.isFinite(fee) && fee >= 0) return fee;
+  const gasUsed = Number(tx?.receipt_gas_used);
+  const gasPrice = Number(tx?.gas_price);
+  return Number.isFinite(gasUsed) && Number.isFinite(gasPrice) ? (gasUsed * gasPrice) / 1e18 : 0;
+}
+
+// Normalizes a wallet history response into transactions with their gas fee and native/ERC-20 transfers
+export function extractTransactionsFromHistory(data) {
+  const items = Array.isArray(data) ? data : Array.isArray(data?.result) ? data.result : [];
+  const transactions = [];
+  for (const tx of items) {
+    if (!tx || tx.possible_spam) continue;
+    const transfers = [];
+    (Array.isArray(tx.native_transfers) ? tx.native_transfers : []).forEach((t, i) => {
+      const transfer = toTransfer(tx, t, NATIVE_TOKEN_ADDRESS, `native-${i}`);
+      if (transfer) transfers.push(transfer);
+    });
+    (Array.isArray(tx.erc20_transfers) ? tx.erc20_transfers : []).forEach((t, i) => {
+      if (t?.possible_spam) return;
+      const transfer = toTransfer(tx, t, t?.address, t?.log_index ?? `erc20-${i}`);
+      if (transfer) transfers.push(transfer);
+    });
+    transactions.push({
+      transactionHash: tx.hash || null,
+      blockTimestamp: tx.block_timestamp || null,
+      from: typeof tx.from_address === "string" ? tx.from_address.toLowerCase() : null,
+      feeNative: readTransactionFee(tx),
+      transfers,
+    });
+  }
+  return transactions;
+}
+
+// Moralis takes the registry's provider chain id (hex, or the network name on Solana); unknown ids are
+// passed through unchanged
+function toMoralisChain(chain) {
+  return getChain(chain)?.providerChainId || chain;
+}
+
+function isSolana(chain) {
+  return getChain(chain)?.family === "solana";
+}
+
+// Base URLs are overridable so the provider can be pointed at a local fake Moralis server.
+// Solana is served by a separate gateway with its own paths but the same swap and price shapes.
+export function createMoralisProvider({
+  apiKey,
+  baseUrl = DEFAULT_MORALIS_BASE,
+  solanaBaseUrl = DEFAULT_MORALIS_SOLANA_BASE,
+} = {}) {
+  // Walks every page of a cursor-paginated wallet endpoint, collecting items with `extract`
+  async function fetchPages(endpoint, params, extract, { limit, deadline, onPage }) {
+    let cursor = null;
+    let combined = [];
+    let pageCount = 0;
+    let lastStatus = 200;
+    let complete = false;
+    let error = null;
+
+    while (true) {
+      if (deadline.expired()) {
+        error = { status: 0, details: { error: "Deadline exceeded" } };
+        break;
+      }
+      const url = new URL(endpoint);
+      for (const [name, value] of Object.entries(params)) {
+        if (value) url.searchParams.set(name, value);
+      }
+      if (limit) url.searchParams.set("limit", String(limit));
+      if (cursor) url.searchParams.set("cursor", cursor);
+
+      try {
+        const moralisResponse = await fetchWithRetry(url.toString(), {
+          method: "GET",
+          headers: {
+            "x-api-key": apiKey,
+            accept: "application/json",
+          },
+          next: { revalidate: 0 },
+        }, { deadline });
+
+        lastStatus = moralisResponse.status;
+        const data = await moralisResponse
+          .json()
+          .catch(() => ({ error: "Invalid JSON from Moralis" }));
+
+        if (!moralisResponse.ok) {
+          error = { status: moralisResponse.status, details: data };
+          break;
+        }
+
+        const items = extract(data);
+        if (items.length) combined = combined.concat(items);
+
+        const nextCursor = getNextCursor(data);
+        pageCount += 1;
+        onPage(pageCount, combined.length);
+
+        if (!nextCursor || nextCursor === cursor) {
+          complete = true;
+          break;
+        }
+        cursor = nextCursor;
+
+        // Safety to avoid infinite loops
+        if (pageCount > 1000) break;
+      } catch (err) {
+        error = { status: 0, details: { error: deadline.expired() ? "Deadline exceeded" : "Network error" } };
+        break;
+      }
+    }
+
+    return { items: combined, pages: pageCount, lastStatus, complete, error };
+  }
+
+  // Walks all swap pages for one chain, optionally only those at or after `fromDate`
+  function fetchSwaps(address, chain, { limit, fromDate, deadline, onPage }) {
+    if (isSolana(chain)) {
+      return fetchPages(
+        `${solanaBaseUrl}/account/${toMoralisChain(chain)}/${address}/swaps`,
+        { fromDate },
+        extractSwapsFromResponse,
+        { limit, deadline, onPage }
+      );
+    }
+    return fetchPages(`${baseUrl}/wallets/${address}/swaps`, { chain: toMoralisChain(chain), fromDate }, extractSwapsFromResponse, {
+      limit,
+      deadline,
+      onPage,
+    });
+  }
+
+  // Wallet history: every transaction with its gas fee and native and ERC-20 transfers.
+  // Moralis has no Solana equivalent, so Solana wallets report no transfers or gas.
+  async function fetchHistory(address, chain, { limit, fromDate, deadline, onPage }) {
+    if (isSolana(chain)) return { items: [], pages: 0, lastStatus: 200, complete: true, error: null };
+    return fetchPages(
+      `${baseUrl}/wallets/${address}/history`,
+      { chain: toMoralisChain(chain), from_date: fromDate },
+      extractTransactionsFromHistory,
+      { limit, deadline, onPage }
+    );
+  }
+
+  // EVM: POST /erc20/prices { tokens: [{ token_address }] }; Solana: POST /token/<network>/prices { addresses }
+  async function fetchPrices(chain, tokens, { deadline }) {
+    const solana = isSolana(chain);
+    const url = new URL(solana ? `${solanaBaseUrl}/token/${toMoralisChain(chain)}/prices` : `${baseUrl}/erc20/prices`);
+    if (!solana) url.searchParams.set("chain", toMoralisChain(chain));
+    const body = solana ? { addresses: tokens.map((t) => t.token_address) } : { tokens };
+    let resp;
+    try {
+      resp = await fetchWithRetry(url.toString(), {
+        method: "POST",
+        headers: {
+          "x-api-key": apiKey,
+          accept: "application/json",
+          "content-type": "application/json",
+        },
+        body: JSON.stringify(body),
+        next: { revalidate: 0 },
+      }, { deadline });
+    } catch (err) {
+      return { items: [], error: deadline.expired() ? "Deadline exceeded" : "Network error" };
+    }
+    if (!resp.ok) return { items: [], error: `Price lookup failed with status ${resp.status}` };
+    const data = await resp.json().catch(() => []);
+    return { items: extractPricesFromResponse(data), error: null };
+  }
+
+  // Price as of the swap's block: GET /erc20/<address>/price?to_block=. The Solana gateway only serves
+  // current prices, so Solana trades cannot be backfilled.
+  async function fetchHistoricalPrice(chain, tokenAddress, { blockNumber, deadline }) {
+    if (isSolana(chain)) return { usdPrice: null, error: "Historical prices are not available on Solana" };
+    if (!Number.isFinite(blockNumber)) return { usdPrice: null, error: "Swap has no block number" };
+    const url = new URL(`${baseUrl}/erc20/${tokenAddress}/price`);
+    url.searchParams.set("chain", toMoralisChain(chain));
+    url.searchParams.set("to_block", String(blockNumber));
+    let resp;
+    try {
+      resp = await fetchWithRetry(url.toString(), {
+        method: "GET",
+        headers: {
+          "x-api-key": apiKey,
+          accept: "application/json",
+        },
+        next: { revalidate: 0 },
+      }, { deadline });
+    } catch (err) {
+      return { usdPrice: null, error: deadline.expired() ? "Deadline exceeded" : "Network error" };
+    }
+    if (!resp.ok) return { usdPrice: null, error: `Historical price lookup failed with status ${resp.status}` };
+    const data = await resp.json().catch(() => null);
+    const usdPrice = Number(data?.usdPrice);
+    return Number.isFinite(usdPrice) && usdPrice > 0
+      ? { usdPrice, error: null }
+      : { usdPrice: null, error: "No historical price" };
+  }
+
+  return {
+    name: "moralis",
+    configError: apiKey ? null : "Server not configured: missing MORALIS_API_KEY",
+    fetchSwaps,
+    fetchHistory,
+    fetchPrices,
+    fetchHistoricalPrice,
+  };
+}
@@ -0,0 +1,186 @@
+import { CARD_FONT_FAMILY, createTextMeasure, drawCardTemplate } from "@/lib/cardCanvas";
+import { fitCardFontSize, resolveCardColor } from "@/lib/cardTemplates";
+import { formatUsd } from "@/lib/format";
+
+// The wrapped recap as a video, drawn on a canvas and recorded in the browser with MediaRecorder:
+// title, invested, PnL reveal, the compounding comparison and the final card. Story-sized (9:16) and
+// colored by the chosen card template, so it matches the card it ends on.
+
+export const RECAP_WIDTH = 1080;
+export const RECAP_HEIGHT = 1920;
+const RECAP_FPS = 30;
+const SCENE_FADE = 0.12; // share of each scene spent fading in, and out
+const CONTENT_WIDTH = 900;
+const MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm", "video/mp4"];
+
+const easeOut = (t) => 1 - Math.pow(1 - Math.min(1, Math.max(0, t)), 3);
+
+// Progress of `p` through [from, to], eased
+function phase(p, from, to) {
+  return easeOut((p - from) / (to - from));
+}
+
+// The first recording format this browser supports, or null when it cannot record a canvas
+export function getRecapFormat() {
+  if (typeof window === "undefined" || typeof MediaRecorder === "undefined") return null;
+  if (typeof HTMLCanvasElement.prototype.captureStream !== "function") return null;
+  const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) return null;
+  return { mimeType, extension: mimeType.startsWith("video/mp4") ? "mp4" : "webm" };
+}
+
+// Centred text, shrunk to fit the content width
+function drawCentered(ctx, text, y, { fontSize, minFontSize = Math.round(fontSize / 2), weight = 600, color }) {
+  const el = { fontSize, minFontSize, weight, maxWidth: CONTENT_WIDTH };
+  const size = fitCardFontSize(el, text, createTextMeasure(ctx));
+  ctx.font = `${weight} ${size}px ${CARD_FONT_FAMILY}`;
+  ctx.fillStyle = color;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, RECAP_WIDTH / 2, y);
+}
+
+function drawBackground(ctx, template) {
+  const grad = ctx.createLinearGradient(0, 0, RECAP_WIDTH, RECAP_HEIGHT);
+  grad.addColorStop(0, template.colors.backgroundFrom);
+  grad.addColorStop(1, template.colors.backgroundTo);
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, 0, RECAP_WIDTH, RECAP_HEIGHT);
+  if (template.colors.decoration) {
+    ctx.globalAlpha = 0.2;
+    ctx.fillStyle = template.colors.decoration;
+    ctx.beginPath(); ctx.arc(980, 200, 260, 0, Math.PI * 2); ctx.fill();
+    ctx.beginPath(); ctx.arc(100, 1800, 320, 0, Math.PI * 2); ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+}
+
+// Scenes: { duration (ms), draw(ctx, p) } with p going 0 → 1 over the scene.
+// `recap` holds what the wrapped steps show; `template` is a story-sized card template.
+export function getRecapScenes(recap, template, card, { avatar = null, chainLogos = {} } = {}) {
+  const { periodLabel, isYearPeriod, invested, pnl, realized, unrealized, compounds } = recap;
+  const color = (name) => resolveCardColor(template, name, card);
+  const pnlColor = pnl >= 0 ? template.colors.profit : template.colors.loss;
+  const maxEarnings = Math.max(1, ...compounds.map((c) => c.earnings));
+
+  return [
+    {
+      duration: 2500,
+      draw(ctx, p) {
+        drawCentered(ctx, card.username, 420, { fontSize: 48, color: color("username") });
+        ctx.globalAlpha *= phase(p, 0, 0.4);
+        drawCentered(ctx, periodLabel, 860, { fontSize: 200, weight: 700, color: color("heading") });
+        drawCentered(ctx, isYearPeriod ? "Your Trading Year" : "Your Trading Journey", 1020, { fontSize: 64, color: color("subheading") });
+      },
+    },
+    {
+      duration: 3000,
+      draw(ctx, p) {
+        drawCentered(ctx, "You invested approx.", 760, { fontSize: 52, weight: 500, color: color("caption") });
+        drawCentered(ctx, formatUsd(invested * phase(p, 0.1, 0.6)), 900, { fontSize: 150, weight: 700, color: color("sprout") });
+        drawCentered(ctx, isYearPeriod ? `in onchain trading in ${periodLabel}` : "in onchain trading so far", 1040, {
+          fontSize: 44,
+          weight: 500,
+          color: color("caption"),
+        });
+      },
+    },
+    {
+      duration: 3500,
+      draw(ctx, p) {
+        drawCentered(ctx, "Your total PnL was", 760, { fontSize: 52, weight: 500, color: color("caption") });
+        const revealed = phase(p, 0.1, 0.65);
+        const scale = 1 + 0.08 * Math.sin(Math.PI * phase(p, 0.6, 0.8));
+        ctx.save();
+        ctx.translate(RECAP_WIDTH / 2, 910);
+        ctx.scale(scale, scale);
+        ctx.translate(-RECAP_WIDTH / 2, -910);
+        drawCentered(ctx, formatUsd(pnl * revealed), 910, { fontSize: 170, weight: 700, color: pnlColor });
+        ctx.restore();
+        ctx.globalAlpha *= phase(p, 0.65, 0.8);
+        drawCentered(ctx, `Realized ${formatUsd(realized)} · Unrealized ${formatUsd(unrealized)}`, 1080, {
+          fontSize: 40,
+          weight: 500,
+          color: color("caption"),
+        });
+      },
+    },
+    {
+      duration: 4000,
+      draw(ctx, p) {
+        drawCentered(ctx, "What if you invested in Sprout instead?", 420, { fontSize: 64, weight: 700, color: color("heading") });
+        drawCentered(ctx, `Your ${formatUsd(invested)} over 5 years`, 510, { fontSize: 40, weight: 500, color: color("caption") });
+        compounds.forEach((c, index) => {
+          const y = 760 + index * 300;
+          const grown = phase(p, 0.1 + index * 0.12, 0.55 + index * 0.12);
+          const x = (RECAP_WIDTH - CONTENT_WIDTH) / 2;
+          drawCentered(ctx, `${Math.round(c.rate * 100)}% APY · ${c.label}`, y, { fontSize: 40, color: color("subheading") });
+          ctx.fillStyle = color("divider");
+          ctx.fillRect(x, y + 50, CONTENT_WIDTH, 28);
+          ctx.fillStyle = color("sprout");
+          ctx.fillRect(x, y + 50, CONTENT_WIDTH * (c.earnings / maxEarnings) * grown, 28);
+          drawCentered(ctx, `+${formatUsd(c.earnings * grown)}`, y + 150, { fontSize: 80, weight: 700, color: color("sprout") });
+        });
+      },
+    },
+    {
+      duration: 3500,
+      draw(ctx) {
+        drawCardTemplate(ctx, template, card, { avatar, chainLogos });
+      },
+    },
+  ];
+}
+
+export function getRecapDuration(scenes) {
+  return scenes.reduce((total, scene) => total + scene.duration, 0);
+}
+
+// Draws the frame at `timeMs` into the recap
+export function drawRecapFrame(ctx, template, scenes, timeMs) {
+  let start = 0;
+  const scene = scenes.find((s) => {
+    if (timeMs < start + s.duration) return true;
+    start += s.duration;
+    return false;
+  }) || scenes[scenes.length - 1];
+  const p = Math.min(1, (timeMs - start) / scene.duration);
+  const isLast = scene === scenes[scenes.length - 1];
+
+  ctx.save();
+  drawBackground(ctx, template);
+  // Fade each scene in and out; the card stays up at the end
+  ctx.globalAlpha = Math.min(1, p / SCENE_FADE, isLast ? 1 : (1 - p) / SCENE_FADE);
+  scene.draw(ctx, p);
+  ctx.restore();
+}
+
+// Records the recap in real time; resolves with the video Blob. `onProgress` gets 0 → 1.
+export function recordRecap(template, scenes, { format, onProgress = () => {} }) {
+  return new Promise((resolve, reject) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = RECAP_WIDTH;
+    canvas.height = RECAP_HEIGHT;
+    const ctx = canvas.getContext("2d");
+    const duration = getRecapDuration(scenes);
+    const recorder = new MediaRecorder(canvas.captureStream(RECAP_FPS), { mimeType: format.mimeType });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data?.size) chunks.push(event.data);
+    };
+    recorder.onstop = () => resolve(new Blob(chunks, { type: format.mimeType.split(";")[0] }));
+    recorder.onerror = (event) => reject(event.error || new Error("Recording failed"));
+
+    drawRecapFrame(ctx, template, scenes, 0);
+    recorder.start();
+    const startedAt = performance.now();
+    const tick = () => {
+      const elapsed = performance.now() - startedAt;
+      drawRecapFrame(ctx, template, scenes, Math.min(elapsed, duration));
+      onProgress(Math.min(1, elapsed / duration));
+      if (elapsed < duration) requestAnimationFrame(tick);
+      else recorder.stop();
+    };
+    requestAnimationFrame(tick);
+  });
+}
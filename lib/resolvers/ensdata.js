@@ -0,0 +1,29 @@
+import { isEvmAddress } from "@/lib/names";
+import { fetchWithRetry } from "@/lib/http";
+
+const DEFAULT_ENS_API_BASE = "https://api.ensdata.net";
+
+// Resolves ENS names and Basenames (CCIP-read included) through an ensdata-compatible HTTP API:
+//   GET <base>/<name> -> { address, avatar_url | avatar_small | avatar, ... }
+export function createEnsDataResolver({ baseUrl = DEFAULT_ENS_API_BASE } = {}) {
+  async function resolveName(name, { deadline } = {}) {
+    try {
+      const res = await fetchWithRetry(`${baseUrl}/${encodeURIComponent(name)}`, {
+        headers: { accept: "application/json" },
+        cache: "no-store",
+      }, { deadline });
+      if (res.status === 404) return { address: null, avatar: null, error: null };
+      if (!res.ok) return { address: null, avatar: null, error: `Name lookup failed (${res.status})` };
+      const data = await res.json().catch(() => null);
+      const address = isEvmAddress(data?.address) ? data.address : null;
+      const avatar = [data?.avatar_url, data?.avatar_small, data?.avatar].find(
+        (url) => typeof url === "string" && /^https:\/\//.test(url)
+      );
+      return { address, avatar: address ? avatar || null : null, error: null };
+    } catch (err) {
+      return { address: null, avatar: null, error: "Name lookup failed" };
+    }
+  }
+
+  return { name: "ensdata", resolveName };
+}
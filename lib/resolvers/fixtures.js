@@ -0,0 +1,20 @@
+import { readFile } from "fs/promises";
+import { isEvmAddress } from "@/lib/names";
+
+// Serves names from a JSON file: { "<name>": { "address": "0x...", "avatar": "https://..." | null } }
+export function createFixtureResolver({ file }) {
+  async function resolveName(name) {
+    try {
+      const names = JSON.parse(await readFile(file, "utf8"));
+      const entry = names?.[name];
+      const address = isEvmAddress(entry?.address) ? entry.address : null;
+      const avatar = address && typeof entry.avatar === "string" ? entry.avatar : null;
+      return { address, avatar, error: null };
+    } catch (err) {
+      if (err?.code === "ENOENT") return { address: null, avatar: null, error: null };
+      return { address: null, avatar: null, error: "Unreadable name fixture" };
+    }
+  }
+
+  return { name: "fixtures", resolveName };
+}
@@ -0,0 +1,17 @@
+import path from "path";
+import { createEnsDataResolver } from "@/lib/resolvers/ensdata";
+import { createFixtureResolver } from "@/lib/resolvers/fixtures";
+
+// A name resolver exposes:
+//   name
+//   resolveName(name, { deadline })
+//     -> { address: string | null, avatar: string | null, error: string | null }
+//     name is normalized (trimmed, lowercase); address is null when the name has no address record
+export function getNameResolver() {
+  const fixtures = (process.env.NAME_RESOLVER || process.env.DATA_PROVIDER) === "fixtures";
+  if (fixtures) {
+    const dir = process.env.FIXTURES_DIR || path.join(process.cwd(), "fixtures");
+    return createFixtureResolver({ file: path.join(dir, "names.json") });
+  }
+  return createEnsDataResolver({ baseUrl: process.env.ENS_API_URL || undefined });
+}
@@ -0,0 +1,89 @@
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+import { mkdir, readFile, rename, unlink, writeFile } from "fs/promises";
+import path from "path";
+import { isSavedCardId } from "@/lib/savedCards";
+
+// One JSON file per saved card under SAVED_CARDS_DIR. Unlike the fetch cache, these are not
+// disposable: deleting the directory breaks every shared /c/<id> link.
+const DEFAULT_SAVED_CARDS_DIR = path.join(process.cwd(), ".data", "cards");
+const ID_BYTES = 9;
+const TOKEN_BYTES = 18;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getDir() {
+  return process.env.SAVED_CARDS_DIR || DEFAULT_SAVED_CARDS_DIR;
+}
+
+function fileFor(id) {
+  return path.join(getDir(), `${id}.json`);
+}
+
+// Only a hash of the delete token is stored, so reading the files does not give it away
+function hashToken(token) {
+  return createHash("sha256").update(String(token)).digest();
+}
+
+// What the page gets: everything but the token hash
+function toSavedCard(record) {
+  const { deleteTokenHash, ...card } = record;
+  return card;
+}
+
+// Stores a result; returns { id, deleteToken, expiresAt }. Throws when the disk write fails.
+export async function createSavedCard({ result, handle, template, size, period, hideAddress, expiresInDays }) {
+  const id = randomBytes(ID_BYTES).toString("base64url");
+  const deleteToken = randomBytes(TOKEN_BYTES).toString("base64url");
+  const createdAt = Date.now();
+  const record = {
+    id,
+    createdAt,
+    expiresAt: createdAt + expiresInDays * DAY_MS,
+    handle,
+    template,
+    size,
+    period,
+    hideAddress,
+    deleteTokenHash: hashToken(deleteToken).toString("hex"),
+    result,
+  };
+  await mkdir(getDir(), { recursive: true });
+  const file = fileFor(id);
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await writeFile(tmp, JSON.stringify(record));
+  await rename(tmp, file);
+  return { id, deleteToken, expiresAt: record.expiresAt };
+}
+
+async function readRecord(id) {
+  if (!isSavedCardId(id)) return null;
+  try {
+    const record = JSON.parse(await readFile(fileFor(id), "utf8"));
+    if (!record || record.id !== id || !Number.isFinite(record.expiresAt)) return null;
+    if (record.expiresAt <= Date.now()) {
+      await unlink(fileFor(id)).catch(() => {});
+      return null;
+    }
+    return record;
+  } catch (err) {
+    return null;
+  }
+}
+
+// The saved card, or null when the id is unknown, malformed or expired
+export async function getSavedCard(id) {
+  const record = await readRecord(id);
+  return record ? toSavedCard(record) : null;
+}
+
+// Returns "deleted", "notFound" or "forbidden" (wrong token)
+export async function deleteSavedCard(id, token) {
+  const record = await readRecord(id);
+  if (!record) return "notFound";
+  const expected = Buffer.from(record.deleteTokenHash, "hex");
+  const actual = hashToken(token);
+  if (typeof token !== "string" || expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return "forbidden";
+  }
+  await unlink(fileFor(id)).catch(() => {});
+  return "deleted";
+}
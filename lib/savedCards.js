@@ -0,0 +1,39 @@
+import { isEvmAddress } from "@/lib/names";
+
+// Saved cards: a generated result stored on the server under a short random id and replayed
+// read-only at /c/<id>. Shared by the API routes, the /c page and the browser.
+
+export const SAVED_CARD_EXPIRY_DAYS = [1, 7, 30, 90];
+export const DEFAULT_SAVED_CARD_EXPIRY_DAYS = 30;
+
+// 9 random bytes, base64url encoded
+const SAVED_CARD_ID_PATTERN = /^[A-Za-z0-9_-]{12}$/;
+
+export function isSavedCardId(value) {
+  return typeof value === "string" && SAVED_CARD_ID_PATTERN.test(value);
+}
+
+export function getSavedCardPath(id) {
+  return `/c/${id}`;
+}
+
+// The owner's link: the same page, with the token that allows deleting the card
+export function getSavedCardDeletePath(id, deleteToken) {
+  return `${getSavedCardPath(id)}?token=${encodeURIComponent(deleteToken)}`;
+}
+
+// A copy of an /api/swaps result that does not lead back to the wallet: each address becomes
+// "Wallet 1", "Wallet 2"…, and resolved names and transaction hashes are dropped. Hashes are dropped
+// wherever they sit (trades, unmatched sells, transfers…), as each one leads to the wallet on an explorer
+export function hideWallets(result) {
+  const addresses = Array.isArray(result?.addresses) ? result.addresses : [];
+  let json = JSON.stringify({ ...result, names: [], trades: [] }, (key, value) =>
+    key === "transactionHash" ? undefined : value
+  );
+  // Addresses are validated hex or base58, so they are safe to use as a pattern. Only EVM addresses
+  // match in any case: two Solana addresses can differ by case alone
+  addresses.forEach((address, index) => {
+    json = json.replace(new RegExp(address, isEvmAddress(address) ? "gi" : "g"), `Wallet ${index + 1}`);
+  });
+  return JSON.parse(json);
+}
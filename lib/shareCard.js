@@ -0,0 +1,154 @@
+import { DEFAULT_CARD_SIZE, DEFAULT_CARD_TEMPLATE, isCardSizeId, isCardTemplateId } from "@/lib/cardTemplates";
+import { getChain } from "@/lib/chains";
+import { normalizeManualCosts } from "@/lib/costBasis";
+import { formatUsd } from "@/lib/format";
+import { DEFAULT_PERIOD, getPeriodRange } from "@/lib/periods";
+
+// The card's content, shared by the in-browser canvas card and the server-rendered image (app/api/card),
+// so both show the same thing. How it looks is up to the template (lib/cardTemplates.js).
+
+// The comparison column: what the invested capital would have earned in Sprout
+export const SPROUT_APY = 0.1;
+export const SPROUT_YEARS = 5;
+
+export function compoundFutureValue(principal, annualRate, years) {
+  const p = Number(principal);
+  const r = Number(annualRate);
+  const t = Number(years);
+  if (!Number.isFinite(p) || !Number.isFinite(r) || !Number.isFinite(t)) return Number.NaN;
+  return p * Math.pow(1 + r, t);
+}
+
+export function getSproutProfit(invested) {
+  return Math.max(0, compoundFutureValue(invested, SPROUT_APY, SPROUT_YEARS) - invested);
+}
+
+// X handles get an @; without one the card falls back to the first resolved ENS name
+export function formatCardUsername(handle, names) {
+  const trimmed = typeof handle === "string" ? handle.trim() : "";
+  if (trimmed) return trimmed.startsWith("@") ? trimmed : `@${trimmed}`;
+  return names?.[0]?.name || "@yourname";
+}
+
+// Download name: <prefix>-<handle or ENS name>-<YYYY-MM-DD>.<extension>, in local time
+export function getCardFileName({ handle, names }, extension, { prefix = "sproutcard", date = new Date() } = {}) {
+  const trimmed = typeof handle === "string" ? handle.trim() : "";
+  const owner = (trimmed || names?.[0]?.name || "")
+    .replace(/^@/, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  const pad = (n) => String(n).padStart(2, "0");
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return `${[prefix, owner, day].filter(Boolean).join("-")}.${extension}`;
+}
+
+// Everything the card shows, derived from an /api/swaps result
+export function getShareCardModel(result, { handle, periodLabel }) {
+  const pnl = Number(result?.pnl) || 0;
+  const invested = Number(result?.investedUsd) || 0;
+  const names = Array.isArray(result?.names) ? result.names : [];
+  // Past periods leave unrealized PnL out (see analyzeSwaps)
+  const includesUnrealized = result?.period?.includesUnrealized !== false;
+  const usesName = !(typeof handle === "string" && handle.trim()) && names.length > 0;
+  return {
+    username: formatCardUsername(handle, names),
+    avatarUrl: usesName ? names[0].avatar || null : null,
+    pnlHeading: `My ${periodLabel} Trading PnL`,
+    pnlText: formatUsd(pnl),
+    pnlPositive: pnl >= 0,
+    pnlCaption: includesUnrealized ? "Realized + unrealized PnL (trading)" : "Realized PnL (trading)",
+    sproutHeading: `Sprout ${Math.round(SPROUT_APY * 100)}% APY · ${SPROUT_YEARS} years`,
+    sproutText: formatUsd(getSproutProfit(invested)),
+    sproutCaption: "Conservative strategy estimated profit",
+    chains: (Array.isArray(result?.chains) ? result.chains : []).map(getChain).filter(Boolean),
+  };
+}
+
+// Permalinks and card image URLs carry the scan settings in the query string:
+//   wallets, chains, allow, deny  comma-separated lists
+//   period, method, treatment     period id, cost basis method, unmatched sell treatment
+//   costs                         manual unmatched sell costs, as comma-separated tokenKey=usd pairs
+//   handle                        X handle shown on the card
+//   template, size                card template and size ids (lib/cardTemplates.js)
+function readParam(params, name) {
+  const value = typeof params?.get === "function" ? params.get(name) : params?.[name];
+  if (Array.isArray(value)) return value[0] || "";
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function readListParam(params, name) {
+  return readParam(params, name)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Token keys contain ":" but never "=" or ","
+function readCostsParam(params) {
+  const pairs = readListParam(params, "costs").map((pair) => {
+    const index = pair.lastIndexOf("=");
+    return [pair.slice(0, index), pair.slice(index + 1)];
+  });
+  return normalizeManualCosts(Object.fromEntries(pairs.filter(([tokenKey]) => tokenKey)));
+}
+
+function formatCostsParam(costs) {
+  return Object.entries(normalizeManualCosts(costs))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([tokenKey, unitCostUsd]) => `${tokenKey}=${unitCostUsd}`);
+}
+
+// Accepts URLSearchParams or a Next.js `searchParams` object
+export function parseShareQuery(params) {
+  return {
+    wallets: readListParam(params, "wallets"),
+    chains: readListParam(params, "chains"),
+    allow: readListParam(params, "allow"),
+    deny: readListParam(params, "deny"),
+    period: readParam(params, "period") || DEFAULT_PERIOD,
+    method: readParam(params, "method"),
+    treatment: readParam(params, "treatment"),
+    costs: readCostsParam(params),
+    handle: readParam(params, "handle"),
+    template: isCardTemplateId(readParam(params, "template")) ? readParam(params, "template") : DEFAULT_CARD_TEMPLATE,
+    size: isCardSizeId(readParam(params, "size")) ? readParam(params, "size") : DEFAULT_CARD_SIZE,
+  };
+}
+
+export function buildShareQuery(settings) {
+  const { wallets, chains, allow, deny, period, method, treatment, costs, handle, template, size } = settings;
+  const params = new URLSearchParams();
+  const lists = { wallets, chains, allow, deny, costs: formatCostsParam(costs) };
+  for (const [name, list] of Object.entries(lists)) {
+    if (Array.isArray(list) && list.length) params.set(name, list.join(","));
+  }
+  const values = {
+    period,
+    method,
+    treatment,
+    handle: typeof handle === "string" ? handle.trim() : "",
+    template: template === DEFAULT_CARD_TEMPLATE ? "" : template,
+    size: size === DEFAULT_CARD_SIZE ? "" : size,
+  };
+  for (const [name, value] of Object.entries(values)) {
+    if (value) params.set(name, value);
+  }
+  return params.toString();
+}
+
+// The /api/swaps request body that reproduces a shared card
+export function getShareScanBody(query) {
+  const { from, to } = getPeriodRange(query.period);
+  return {
+    addresses: query.wallets,
+    chains: query.chains.length ? query.chains : undefined,
+    costBasisMethod: query.method || undefined,
+    unmatchedSellTreatment: query.treatment || undefined,
+    unmatchedSellCosts: query.costs,
+    tokenAllowList: query.allow,
+    tokenDenyList: query.deny,
+    from,
+    to,
+  };
+}
@@ -0,0 +1,47 @@
+// Open positions whose current price cannot be trusted (spam airdrops, honeypots, illiquid pools) are
+// excluded: valued at zero, so airdropped junk adds nothing and a bought rug still shows its cost as a loss.
+
+export const TOKEN_EXCLUSION_REASONS = ["denied", "spam", "lowLiquidity", "priceMove"];
+
+export const TOKEN_EXCLUSION_LABELS = {
+  denied: "On your deny list",
+  spam: "Flagged as spam",
+  lowLiquidity: "Too little liquidity",
+  priceMove: "Implausible price move",
+};
+
+export const DEFAULT_MIN_LIQUIDITY_USD = 5000;
+// Current price at most this many times the last price the wallet traded at
+export const DEFAULT_MAX_PRICE_MOVE = 100;
+
+// Allow and deny lists hold token keys (see lib/tokens.js); anything else is dropped
+export function normalizeTokenList(value) {
+  if (!Array.isArray(value)) return [];
+  const keys = value.map((key) => (typeof key === "string" ? key.trim() : "")).filter((key) => key.includes(":"));
+  return [...new Set(keys)];
+}
+
+// Why an open position is excluded, or null to keep it. `prices` are the provider's price items for each
+// chain the token sits on ({ usdPrice, possibleSpam, liquidityUsd }); `referencePriceUsd` is the last
+// price the wallet traded it at.
+export function getTokenExclusion(
+  tokenKey,
+  { prices, usdPrice, referencePriceUsd },
+  { allowList, denyList, minLiquidityUsd = DEFAULT_MIN_LIQUIDITY_USD, maxPriceMove = DEFAULT_MAX_PRICE_MOVE }
+) {
+  if (allowList.includes(tokenKey)) return null;
+  if (denyList.includes(tokenKey)) return { reason: "denied", detail: null };
+  if (prices.some((p) => p.possibleSpam === true)) return { reason: "spam", detail: "Flagged by the data provider" };
+
+  const liquidities = prices.map((p) => p.liquidityUsd).filter((l) => Number.isFinite(l));
+  const liquidityUsd = liquidities.length ? Math.max(...liquidities) : null;
+  if (liquidityUsd !== null && liquidityUsd < minLiquidityUsd) {
+    return { reason: "lowLiquidity", detail: `$${Math.round(liquidityUsd)} of liquidity` };
+  }
+
+  if (Number.isFinite(usdPrice) && Number.isFinite(referencePriceUsd) && referencePriceUsd > 0) {
+    const move = usdPrice / referencePriceUsd;
+    if (move > maxPriceMove) return { reason: "priceMove", detail: `${Math.round(move)}x since your last trade` };
+  }
+  return null;
+}
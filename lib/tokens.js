@@ -0,0 +1,76 @@
+import { CHAINS, normalizeAddress } from "@/lib/chains";
+
+// Token identity: positions are keyed by chain + contract address, never by ticker.
+// Addresses are normalized throughout: lowercase on EVM chains, as-is (base58) on Solana.
+
+// Moralis reports native coins under this placeholder contract address; Solana swaps report SOL as
+// wrapped SOL, which folds into it like any wrapped native token
+export const NATIVE_TOKEN_ADDRESS = "0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee";
+
+// Symbol of each chain's native coin
+export const NATIVE_SYMBOLS = Object.fromEntries(CHAINS.map((chain) => [chain.id, chain.nativeSymbol]));
+
+// Wrapped native token per chain; holding it is treated as holding the native coin (WETH -> ETH, WBNB -> BNB)
+export const WRAPPED_NATIVE = Object.fromEntries(CHAINS.map((chain) => [chain.id, chain.wrappedNative]));
+
+// The same asset on several chains (native or bridged), merged into one position when canonical
+// assets are enabled. Built from the chain registry: each chain's `nativeAsset` and `stablecoins`
+export const CANONICAL_ASSETS = Object.create(null); // id -> { symbol, tokens: { chain -> [address] } }
+
+// Canonical assets treated as cash: swapping into or out of them opens or closes a position
+export const STABLECOIN_ASSETS = [];
+
+for (const chain of CHAINS) {
+  const assets = Object.entries(chain.stablecoins || {});
+  for (const [id] of assets) {
+    if (!STABLECOIN_ASSETS.includes(id)) STABLECOIN_ASSETS.push(id);
+  }
+  if (chain.nativeAsset) assets.unshift([chain.nativeAsset, [NATIVE_TOKEN_ADDRESS]]);
+  for (const [id, addresses] of assets) {
+    if (!CANONICAL_ASSETS[id]) CANONICAL_ASSETS[id] = { symbol: id, tokens: {} };
+    CANONICAL_ASSETS[id].tokens[chain.id] = addresses;
+  }
+}
+
+const canonicalIdByToken = Object.create(null); // `${chain}:${address}` -> asset id
+for (const [id, asset] of Object.entries(CANONICAL_ASSETS)) {
+  for (const [chain, addresses] of Object.entries(asset.tokens)) {
+    for (const address of addresses) canonicalIdByToken[`${chain}:${address}`] = id;
+  }
+}
+
+// Where a token actually sits: wrapped native is folded into the native coin
+export function getTokenLocation(chain, address) {
+  if (typeof chain !== "string") return null;
+  const normalized = normalizeAddress(chain, address);
+  if (!normalized) return null;
+  return { chain, address: WRAPPED_NATIVE[chain] === normalized ? NATIVE_TOKEN_ADDRESS : normalized };
+}
+
+// Position key: `${chain}:${address}`, or `asset:<id>` for canonical assets when `canonical` is on
+export function getTokenKey(chain, address, { canonical = true } = {}) {
+  const location = getTokenLocation(chain, address);
+  if (!location) return null;
+  const locationKey = `${location.chain}:${location.address}`;
+  const assetId = canonical ? canonicalIdByToken[locationKey] : null;
+  return assetId ? `asset:${assetId}` : locationKey;
+}
+
+// Symbol implied by the key itself (canonical asset or native coin); null when metadata has to decide
+export function getKnownSymbol(tokenKey) {
+  if (typeof tokenKey !== "string") return null;
+  const [scope, id] = tokenKey.split(":");
+  if (scope === "asset") return CANONICAL_ASSETS[id]?.symbol || null;
+  return id === NATIVE_TOKEN_ADDRESS ? NATIVE_SYMBOLS[scope] || null : null;
+}
+
+export function isStablecoin(chain, address) {
+  const location = getTokenLocation(chain, address);
+  if (!location) return false;
+  return STABLECOIN_ASSETS.includes(canonicalIdByToken[`${location.chain}:${location.address}`]);
+}
+
+// Contract to ask a price API about; native coins are priced through their wrapped token
+export function getPriceAddress(chain, address) {
+  return address === NATIVE_TOKEN_ADDRESS ? WRAPPED_NATIVE[chain] || null : address;
+}
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import { analyzeSwaps } from "@/lib/analyzeSwaps";
+
+const DEMO_WALLET = "0x4d26f0e78c154f8fda7acf6646246fa135507017";
+const PEPE = "eth:0x6982508145454ce325ddbe47a25d4ec3d2311933";
+
+before(() => {
+  process.env.DATA_PROVIDER = "fixtures";
+  process.env.CACHE_DISABLED = "1";
+});
+
+function scan(body) {
+  return analyzeSwaps({ addresses: [DEMO_WALLET], chains: ["eth"], ...body }, () => {});
+}
+
+test("a past window counts only the PnL realized inside it", async () => {
+  const { status, payload } = await scan({ from: "2025-01-01", to: "2025-03-31T23:59:59.999Z" });
+  assert.equal(status, 200);
+  // PEPE bought before the window is still held at its end, and partly sold in May 2025
+  assert.equal(payload.holdings[PEPE], 420000000);
+  assert.equal(payload.period.includesUnrealized, false);
+  assert.equal(payload.realizedPnlUsd, 0);
+  assert.equal(payload.unrealizedPnlUsd, 0);
+  assert.equal(payload.pnl, payload.realizedPnlUsd);
+  assert.ok(payload.positions.every((position) => position.unrealizedPnlUsd === 0));
+});
+
+test("a window still running values open positions at current prices", async () => {
+  const { payload } = await scan({ from: "2025-01-01" });
+  assert.equal(payload.period.includesUnrealized, true);
+  assert.notEqual(payload.unrealizedPnlUsd, 0);
+  assert.equal(payload.pnl, payload.realizedPnlUsd + payload.unrealizedPnlUsd);
+});
+
+test("tokens bridged out that never land are reported, not put back in the source position", async () => {
+  // The PEPE bridged to Arbitrum lands on a chain this scan does not cover
+  const { payload } = await scan({});
+  assert.equal(payload.holdings[PEPE], 70000000);
+  assert.equal(payload.transfers.unlanded.length, 1);
+  const { symbol, tokenKey, chain, quantity, costUsd } = payload.transfers.unlanded[0];
+  assert.deepEqual({ symbol, tokenKey, chain, quantity, costUsd }, {
+    symbol: "PEPE",
+    tokenKey: PEPE,
+    chain: "eth",
+    quantity: 100000000,
+    costUsd: 810,
+  });
+});
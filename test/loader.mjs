@@ -0,0 +1,26 @@
+import { existsSync } from "fs";
+import { fileURLToPath, pathToFileURL } from "url";
+import path from "path";
+
+// Resolves the `@/` alias from jsconfig.json and loads the app's extensionless `.js` imports as ES
+// modules, the way Next.js bundles them
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+function findFile(base) {
+  return [`${base}.js`, path.join(base, "index.js"), base].find((file) => existsSync(file)) || null;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith("@/")) {
+    const file = findFile(path.join(root, specifier.slice(2)));
+    if (file) return { url: pathToFileURL(file).href, format: "module", shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(pathToFileURL(root).href) && !url.includes("/node_modules/") && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,23 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { hideWallets } from "@/lib/savedCards";
+
+const WALLET = "0x4D26f0e78c154f8fda7acf6646246fa135507017";
+const HASH = "0x9f1c1e9d0c5b8e7a4a2f3b6c7d8e9f0a1b2c3d4e5f60718293a4b5c6d7e8f901";
+
+test("a hidden copy keeps no address, name or transaction hash", () => {
+  const hidden = hideWallets({
+    addresses: [WALLET],
+    names: [{ name: "demo.eth", address: WALLET }],
+    wallets: [{ address: WALLET.toLowerCase(), swaps: 3 }],
+    trades: [{ transactionHash: HASH, wallet: WALLET }],
+    unmatchedSells: [{ transactionHash: HASH, wallet: WALLET, quantity: 1 }],
+    transfers: { unlanded: [{ transactionHash: HASH, symbol: "PEPE", quantity: 2 }] },
+  });
+  const json = JSON.stringify(hidden);
+  assert.ok(!json.toLowerCase().includes(WALLET.toLowerCase()));
+  assert.ok(!json.includes(HASH));
+  assert.ok(!json.includes("demo.eth"));
+  assert.deepEqual(hidden.wallets, [{ address: "Wallet 1", swaps: 3 }]);
+  assert.deepEqual(hidden.transfers.unlanded, [{ symbol: "PEPE", quantity: 2 }]);
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildShareQuery, getShareScanBody, parseShareQuery } from "@/lib/shareCard";
+
+const settings = {
+  wallets: ["0x4d26f0e78c154f8fda7acf6646246fa135507017", "SprtDemo1111111111111111111111111111111111"],
+  chains: ["eth", "base", "solana"],
+  allow: ["base:0x940181a94a35a4569e4529a3cdfb74e38fd98631"],
+  deny: ["eth:0x6982508145454ce325ddbe47a25d4ec3d2311933"],
+  period: "2025",
+  method: "fifo",
+  treatment: "manual",
+  costs: { "arbitrum:0x912ce59144191c1204e64559fe8253a0e49e6548": 0.42, "asset:ETH": 1800 },
+  handle: "@sprout",
+  template: "minimal",
+  size: "story",
+};
+
+function roundTrip(value) {
+  return parseShareQuery(new URLSearchParams(buildShareQuery(value)));
+}
+
+test("a share query parses back to the settings it was built from", () => {
+  const { costs, ...parsed } = roundTrip(settings);
+  const { costs: expectedCosts, ...expected } = settings;
+  assert.deepEqual(parsed, expected);
+  assert.deepEqual({ ...costs }, expectedCosts);
+});
+
+test("defaults are left out of the query and come back on parse", () => {
+  const query = buildShareQuery({ wallets: settings.wallets, chains: [], allow: [], deny: [], period: "2025" });
+  assert.equal(query, `wallets=${encodeURIComponent(settings.wallets.join(","))}&period=2025`);
+  const parsed = parseShareQuery(new URLSearchParams(query));
+  assert.deepEqual({ ...parsed.costs }, {});
+  assert.equal(parsed.template, "classic");
+});
+
+test("the shared scan uses the manual costs from the query", () => {
+  const body = getShareScanBody(roundTrip(settings));
+  assert.deepEqual({ ...body.unmatchedSellCosts }, settings.costs);
+  assert.equal(body.from, "2025-01-01T00:00:00.000Z");
+});
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { CHAINS } from "@/lib/chains";
+import { NATIVE_TOKEN_ADDRESS, getTokenKey, isStablecoin } from "@/lib/tokens";
+
+test("every EVM chain registers its USDC, USDT and DAI as stablecoins", () => {
+  for (const chain of CHAINS.filter((c) => c.family === "evm")) {
+    for (const id of ["USDC", "USDT", "DAI"]) {
+      const addresses = chain.stablecoins?.[id] || [];
+      assert.ok(addresses.length, `${chain.id} has no ${id}`);
+      for (const address of addresses) {
+        assert.ok(isStablecoin(chain.id, address), `${chain.id} ${id} ${address}`);
+        assert.equal(getTokenKey(chain.id, address), `asset:${id}`);
+      }
+    }
+  }
+});
+
+test("stablecoins on Polygon, Avalanche and Base are cash", () => {
+  assert.ok(isStablecoin("polygon", "0x3c499c542cef5e3811e1192ce70d8cc03d5c3359"));
+  assert.ok(isStablecoin("avalanche", "0x9702230A8Ea53601f5cD2dc00fDBc13d4dF4A8c7"));
+  assert.ok(isStablecoin("base", "0xfde4c96c8593536e31f229ea8f37b2ada2699bb2"));
+  assert.ok(!isStablecoin("polygon", NATIVE_TOKEN_ADDRESS));
+});
+
+test("native ETH merges across chains, other native coins stay per chain", () => {
+  assert.equal(getTokenKey("base", NATIVE_TOKEN_ADDRESS), "asset:ETH");
+  assert.equal(getTokenKey("arbitrum", "0x82af49447d8a07e3bd95bd0d56f35241523fbab1"), "asset:ETH");
+  assert.equal(getTokenKey("bsc", NATIVE_TOKEN_ADDRESS), `bsc:${NATIVE_TOKEN_ADDRESS}`);
+  assert.equal(getTokenKey("base", NATIVE_TOKEN_ADDRESS, { canonical: false }), `base:${NATIVE_TOKEN_ADDRESS}`);
+});